@@ -3,12 +3,30 @@
  * Visualizes color changes in test tubes with litmus and universal indicators
  */
 
+// Common solution pH presets; each key is also its button's id
+const PH_PRESETS = {
+    'battery-acid': 1.0,
+    'lemon-juice': 2.0,
+    'vinegar': 2.4,
+    'orange-juice': 3.5,
+    'coffee': 5.0,
+    'milk': 6.5,
+    'pure-water': 7.0,
+    'sea-water': 8.0,
+    'baking-soda': 9.0,
+    'milk-of-magnesia': 10.5,
+    'ammonia': 11.5,
+    'bleach': 12.5,
+    'drain-cleaner': 14.0
+};
+
 class AcidBaseExperiment {
     constructor() {
         this.mode = 'formula'; // 'formula' or 'ml'
         this.indicator = 'universal'; // 'litmus' or 'universal'
         this.pH = 7.0;
         this.pathLengthCm = 1.0;
+        this.preset = null; // PH_PRESETS key while the pH is still the preset's
         
         this.p5Instance = null;
         this.mlTrained = false;
@@ -30,6 +48,7 @@ class AcidBaseExperiment {
         this.setupPresets();
         this.setupMLSection();
         this.initP5();
+        this.restoreUrlState();
         this.loadSavedModel();
         this.updateColor();
         console.log('✅ Acid-Base Experiment initialized');
@@ -48,6 +67,7 @@ class AcidBaseExperiment {
             modeHint.textContent = 'Using Henderson-Hasselbalch equation for litmus, RGB interpolation for universal';
             mlSection.style.display = 'none';
             this.updateColor();
+            this.saveUrlState();
         });
         
         mlBtn.addEventListener('click', () => {
@@ -64,6 +84,7 @@ class AcidBaseExperiment {
             }
             
             this.updateColor();
+            this.saveUrlState();
         });
     }
     
@@ -74,6 +95,7 @@ class AcidBaseExperiment {
         pHInput.addEventListener('input', (e) => {
             this.pH = parseFloat(e.target.value);
             pHValue.textContent = this.pH.toFixed(1);
+            this.setPreset(null);
             this.updateColor();
             this.createBubbles();
         });
@@ -85,6 +107,7 @@ class AcidBaseExperiment {
             this.pathLengthCm = parseFloat(e.target.value);
             pathValue.textContent = this.pathLengthCm.toFixed(1) + ' cm';
             this.updateColor();
+            this.saveUrlState();
         });
         
         // Indicator radio buttons
@@ -93,6 +116,7 @@ class AcidBaseExperiment {
                 this.indicator = e.target.value;
                 this.updateColor();
                 this.createBubbles();
+                this.saveUrlState();
             });
         });
         
@@ -101,33 +125,20 @@ class AcidBaseExperiment {
         if (resetBtn) {
             resetBtn.addEventListener('click', () => this.reset());
         }
+
+        const copyLinkBtn = document.getElementById('copyLinkBtn');
+        copyLinkBtn.addEventListener('click', () => UrlState.copyLink(copyLinkBtn));
     }
     
     setupPresets() {
-        // Common solution pH presets
-        const presets = {
-            'battery-acid': 1.0,
-            'lemon-juice': 2.0,
-            'vinegar': 2.4,
-            'orange-juice': 3.5,
-            'coffee': 5.0,
-            'milk': 6.5,
-            'pure-water': 7.0,
-            'sea-water': 8.0,
-            'baking-soda': 9.0,
-            'milk-of-magnesia': 10.5,
-            'ammonia': 11.5,
-            'bleach': 12.5,
-            'drain-cleaner': 14.0
-        };
-        
-        Object.keys(presets).forEach(key => {
+        Object.keys(PH_PRESETS).forEach(key => {
             const btn = document.getElementById(key);
             if (btn) {
                 btn.addEventListener('click', () => {
-                    this.pH = presets[key];
+                    this.pH = PH_PRESETS[key];
                     document.getElementById('inputPH').value = this.pH;
                     document.getElementById('valuePH').textContent = this.pH.toFixed(1);
+                    this.setPreset(key);
                     this.updateColor();
                     this.createBubbles();
                 });
@@ -135,6 +146,60 @@ class AcidBaseExperiment {
         });
     }
     
+    /** Highlights the chosen preset's button (null clears it, e.g. once the pH slider moves) */
+    setPreset(key) {
+        this.preset = key;
+        document.querySelectorAll('.preset-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.id === key);
+        });
+        this.saveUrlState();
+    }
+    
+    /** Restores the indicator, path length, pH or preset, and mode from the URL hash; unknown or out-of-range values are ignored */
+    restoreUrlState() {
+        const state = UrlState.read();
+        
+        if (state.indicator === 'litmus' || state.indicator === 'universal') {
+            this.indicator = state.indicator;
+            document.getElementById(`indicator-${state.indicator}`).checked = true;
+        }
+        
+        const pathLength = UrlState.number(state, 'pathLengthCm');
+        if (pathLength !== null) {
+            const pathInput = document.getElementById('inputPathLength');
+            pathInput.value = pathLength; // the range input clamps it
+            this.pathLengthCm = parseFloat(pathInput.value);
+            document.getElementById('valuePathLength').textContent = this.pathLengthCm.toFixed(1) + ' cm';
+        }
+        
+        // A preset alone sets its pH; with a pH as well, it only sticks if the pH is still its own
+        const preset = Object.hasOwn(PH_PRESETS, state.preset) ? state.preset : null;
+        const pH = UrlState.number(state, 'pH') ?? (preset ? PH_PRESETS[preset] : null);
+        if (pH !== null) {
+            const pHInput = document.getElementById('inputPH');
+            pHInput.value = pH;
+            this.pH = parseFloat(pHInput.value);
+            document.getElementById('valuePH').textContent = this.pH.toFixed(1);
+        }
+        if (preset && PH_PRESETS[preset] === this.pH) this.setPreset(preset);
+        
+        if (state.mode === 'ml') document.getElementById('mlModeBtn').click();
+        
+        UrlState.ready();
+        this.saveUrlState();
+    }
+    
+    /** Mirrors the mode, indicator, pH, path length and chosen preset into the URL hash for sharing */
+    saveUrlState() {
+        UrlState.write({
+            mode: this.mode,
+            indicator: this.indicator,
+            pH: this.pH,
+            pathLengthCm: this.pathLengthCm,
+            preset: this.preset
+        });
+    }
+    
     reset() {
         this.pH = 7.0;
         this.pathLengthCm = 1.0;
@@ -145,6 +210,7 @@ class AcidBaseExperiment {
         document.getElementById('inputPathLength').value = 1.0;
         document.getElementById('valuePathLength').textContent = '1.0 cm';
         document.getElementById('indicator-universal').checked = true;
+        this.setPreset(null);
         
         this.updateColor();
         this.bubbles = [];
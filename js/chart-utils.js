@@ -20,7 +20,8 @@ class ChartUtils {
             xLabel: 'Time (seconds)',
             yLabel: 'Value',
             color: '#667eea',
-            title: 'Time Series Data'
+            title: 'Time Series Data',
+            yScale: 'linear' // or 'logarithmic'
         };
         
         const config = { ...defaultOptions, ...options };
@@ -60,6 +61,7 @@ class ChartUtils {
                         grid: { color: '#f0f0f0' }
                     },
                     y: { 
+                        type: config.yScale,
                         title: { display: true, text: config.yLabel },
                         grid: { color: '#f0f0f0' }
                     }
@@ -68,6 +70,139 @@ class ChartUtils {
         });
     }
     
+    /**
+     * Create a time series line chart with several series sharing one time axis
+     * @param {string} canvasId - Canvas element ID
+     * @param {Array<{label: string, data: Array<number>, color: string, dashed?: boolean}>} series - One entry per line (dashed applies after the first)
+     * @param {Object} options - Chart options (same as createTimeSeriesChart)
+     * @returns {Chart} Chart.js instance
+     */
+    static createMultiSeriesChart(canvasId, series, options = {}) {
+        const [first, ...rest] = series;
+        const chart = this.createTimeSeriesChart(canvasId, first.data, {
+            ...options,
+            label: first.label,
+            color: first.color
+        });
+
+        rest.forEach(s => this.addSeries(chart, s, { update: false }));
+        chart.options.plugins.legend.display = series.length > 1;
+        chart.update('none');
+        return chart;
+    }
+
+    /**
+     * Add a line to an existing time series chart (values line up with the chart's labels; use null for gaps)
+     * @param {Chart} chart - Chart.js instance
+     * @param {{label: string, data: Array<number|null>, color: string, dashed?: boolean, key?: string, pointRadius?: number, showLine?: boolean}} s - Series; key (default: label) identifies it for removeSeries
+     * @param {Object} options - { update: false } to skip the redraw when adding several series
+     */
+    static addSeries(chart, s, options = {}) {
+        chart.data.datasets.push({
+            key: s.key ?? s.label,
+            label: s.label,
+            data: s.data,
+            borderColor: s.color,
+            backgroundColor: this.hexToRgba(s.color, 0.1),
+            borderWidth: 2,
+            borderDash: s.dashed ? [6, 4] : [],
+            showLine: s.showLine ?? true,
+            tension: 0.4,
+            pointRadius: s.pointRadius ?? 0
+        });
+        if (options.update !== false) {
+            chart.options.plugins.legend.display = chart.data.datasets.length > 1;
+            chart.update('none');
+        }
+    }
+
+    /**
+     * Remove the series added under a key (or label)
+     * @param {Chart} chart - Chart.js instance
+     * @param {string} key - Key passed to addSeries
+     * @returns {boolean} Whether a series was removed
+     */
+    static removeSeries(chart, key) {
+        const before = chart.data.datasets.length;
+        chart.data.datasets = chart.data.datasets.filter(d => (d.key ?? d.label) !== key);
+        if (chart.data.datasets.length === before) return false;
+
+        chart.options.plugins.legend.display = chart.data.datasets.length > 1;
+        chart.update('none');
+        return true;
+    }
+
+    /**
+     * Create an x-y chart (both axes numeric), e.g. amplitude vs frequency
+     * @param {string} canvasId - Canvas element ID
+     * @param {Array<Object>} series - { label, points: [{x, y}], color, showLine?, pointRadius?, dashed? }
+     * @param {Object} options - { title, xLabel, yLabel, xScale?, yScale? } (scales: 'linear' or 'logarithmic')
+     * @returns {Chart} Chart.js instance
+     */
+    static createXYChart(canvasId, series, options = {}) {
+        const ctx = document.getElementById(canvasId).getContext('2d');
+
+        const config = {
+            title: 'X-Y Data',
+            xLabel: 'x',
+            yLabel: 'y',
+            xScale: 'linear',
+            yScale: 'linear',
+            ...options
+        };
+
+        return new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: series.map(s => this.toXYDataset(s))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    legend: { display: series.length > 1 },
+                    title: {
+                        display: true,
+                        text: config.title,
+                        font: { size: 14 }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: config.xScale,
+                        title: { display: true, text: config.xLabel },
+                        grid: { color: '#f0f0f0' }
+                    },
+                    y: {
+                        type: config.yScale,
+                        title: { display: true, text: config.yLabel },
+                        grid: { color: '#f0f0f0' }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Build a Chart.js dataset from an x-y series description
+     * @param {Object} s - { label, points, color, showLine?, pointRadius?, dashed? }
+     * @returns {Object} Chart.js dataset
+     */
+    static toXYDataset(s) {
+        return {
+            label: s.label,
+            data: s.points,
+            borderColor: s.color,
+            backgroundColor: this.hexToRgba(s.color, 0.5),
+            borderWidth: 2,
+            borderDash: s.dashed ? [6, 4] : [],
+            showLine: s.showLine ?? true,
+            pointRadius: s.pointRadius ?? 0,
+            tension: 0
+        };
+    }
+
     /**
      * Update existing chart with new data
      * @param {Chart} chart - Chart.js instance
@@ -78,6 +213,16 @@ class ChartUtils {
         chart.update('none'); // Skip animation for better performance
     }
     
+    /**
+     * Move the frame cursor drawn by the cursor plugin (use null to hide it)
+     * @param {Chart} chart - Chart.js instance
+     * @param {Object|null} cursor - { index } for time series charts, { point: {x, y} } for x-y charts
+     */
+    static setCursor(chart, cursor) {
+        chart.$cursor = cursor;
+        chart.draw();
+    }
+
     /**
      * Convert hex color to rgba
      * @param {string} hex - Hex color code
@@ -92,5 +237,45 @@ class ChartUtils {
     }
 }
 
+/**
+ * Chart.js plugin that draws the cursor set by ChartUtils.setCursor:
+ * a vertical line for time series charts, a ring around a point for x-y charts
+ */
+ChartUtils.cursorPlugin = {
+    id: 'frameCursor',
+    afterDatasetsDraw(chart) {
+        const cursor = chart.$cursor;
+        if (!cursor) return;
+
+        const { ctx, chartArea, scales } = chart;
+        ctx.save();
+        ctx.strokeStyle = '#ef4444';
+        ctx.lineWidth = 2;
+
+        if (cursor.index !== undefined) {
+            const x = scales.x.getPixelForValue(cursor.index);
+            if (x >= chartArea.left && x <= chartArea.right) {
+                ctx.beginPath();
+                ctx.moveTo(x, chartArea.top);
+                ctx.lineTo(x, chartArea.bottom);
+                ctx.stroke();
+            }
+        } else if (cursor.point) {
+            const x = scales.x.getPixelForValue(cursor.point.x);
+            const y = scales.y.getPixelForValue(cursor.point.y);
+            ctx.fillStyle = 'rgba(239, 68, 68, 0.3)';
+            ctx.beginPath();
+            ctx.arc(x, y, 6, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+};
+
+if (window.Chart) {
+    Chart.register(ChartUtils.cursorPlugin);
+}
+
 // Global exposure
 window.ChartUtils = ChartUtils;
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * File Utilities
+ * Helper functions for exporting experiment data as downloadable files
+ */
+
+class FileUtils {
+    /**
+     * Build CSV text from an array of row objects
+     * @param {Array<Object>} rows - One object per line
+     * @param {Array<string>} columns - Keys to write, in order (also used as the header)
+     * @returns {string} CSV text with a header line
+     */
+    static toCSV(rows, columns) {
+        const lines = [columns.map(c => this.csvCell(c)).join(',')];
+        rows.forEach(row => {
+            lines.push(columns.map(c => this.csvCell(row[c])).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Format one CSV cell, quoting text that contains commas, quotes or line breaks
+     * @param {*} value - Cell value (undefined and null become empty cells)
+     * @returns {string} CSV cell
+     */
+    static csvCell(value) {
+        if (value === undefined || value === null) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Parse CSV text with a header line. Blank lines and lines starting with '#' are skipped;
+     * numeric cells become numbers
+     * @param {string} text - CSV text
+     * @returns {{columns: Array<string>, rows: Array<Object>}} Header names and one object per line
+     */
+    static parseCSV(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '' && !line.trim().startsWith('#'));
+        if (lines.length === 0) throw new Error('The file is empty.');
+
+        const columns = this.splitCSVLine(lines[0]).map(c => c.trim());
+        const rows = lines.slice(1).map(line => {
+            const cells = this.splitCSVLine(line);
+            const row = {};
+            columns.forEach((c, i) => {
+                const cell = (cells[i] ?? '').trim();
+                row[c] = cell !== '' && Number.isFinite(Number(cell)) ? Number(cell) : cell;
+            });
+            return row;
+        });
+        return { columns, rows };
+    }
+
+    /**
+     * Split one CSV line into cells, honouring double-quoted cells
+     * @param {string} line - One line of CSV
+     * @returns {Array<string>} Cell texts
+     */
+    static splitCSVLine(line) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quoted) {
+                if (ch === '"' && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                cells.push(cell);
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        cells.push(cell);
+        return cells;
+    }
+
+    /**
+     * Save text as a file through a temporary download link
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File contents
+     * @param {string} mimeType - e.g. 'text/csv' or 'application/json'
+     */
+    static download(filename, content, mimeType = 'text/plain') {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Turn a user-supplied label into a safe file name stem
+     * @param {string} name - e.g. a run name
+     * @returns {string} Lowercase name with only letters, digits, '-' and '_'
+     */
+    static safeFilename(name) {
+        return String(name).trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'data';
+    }
+}
+
+// Global exposure
+window.FileUtils = FileUtils;
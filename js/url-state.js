@@ -0,0 +1,88 @@
+/**
+ * URL State
+ * Keeps an experiment's settings in the page's URL hash, so a shared link reopens the same starting configuration
+ */
+
+class UrlState {
+    /**
+     * Read the settings stored in the URL hash
+     * @returns {Object<string, string>} Key/value pairs as text (empty object when there is no hash)
+     */
+    static read() {
+        return Object.fromEntries(new URLSearchParams(window.location.hash.slice(1)));
+    }
+
+    /**
+     * Read one numeric setting
+     * @param {Object<string, string>} state - Result of read()
+     * @param {string} key - Setting name
+     * @returns {number|null} The value, or null when it is missing or not a finite number
+     */
+    static number(state, key) {
+        if (state[key] === undefined || state[key].trim() === '') return null;
+        const value = Number(state[key]);
+        return Number.isFinite(value) ? value : null;
+    }
+
+    /**
+     * Allow write() from now on. Call it once the page has applied the settings from read(), so that controls
+     * still being set up with their defaults can't overwrite a shared link first
+     */
+    static ready() {
+        this.isReady = true;
+    }
+
+    /**
+     * Replace the URL hash with the given settings. Calls within a short delay are merged into one
+     * history.replaceState (browsers throttle it while a slider is dragged), and no history entry is added.
+     * Does nothing until ready() has been called
+     * @param {Object} state - Key/value pairs; undefined, null and '' values are left out
+     */
+    static write(state) {
+        if (!this.isReady) return;
+        this.pending = state;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), 250);
+    }
+
+    /** Write any settings still waiting in write() right away */
+    static flush() {
+        clearTimeout(this.timer);
+        if (!this.pending) return;
+
+        const params = new URLSearchParams();
+        Object.entries(this.pending).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') params.set(key, value);
+        });
+        this.pending = null;
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${params}`);
+    }
+
+    /**
+     * Copy the page link, settings included, to the clipboard and confirm on the button
+     * @param {HTMLButtonElement} button - The copy button, relabelled for a moment
+     */
+    static async copyLink(button) {
+        this.flush();
+        const url = window.location.href;
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (error) {
+            // The clipboard API needs a secure context; let the user copy it by hand instead
+            window.prompt('Copy this link:', url);
+            return;
+        }
+
+        // Kept on the button so a second click during the confirmation doesn't keep the confirmation as the label
+        button.dataset.label = button.dataset.label || button.textContent;
+        button.textContent = '✓ Link copied';
+        setTimeout(() => { button.textContent = button.dataset.label; }, 1500);
+    }
+}
+
+UrlState.isReady = false;
+UrlState.pending = null;
+UrlState.timer = null;
+
+// Global exposure
+window.UrlState = UrlState;
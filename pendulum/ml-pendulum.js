@@ -6,11 +6,58 @@
 // --- GLOBAL STATE & CONSTANTS ---
 let pendulumModel = null;
 let normalization = null;
+let trainingRanges = null; // Feature min/max of the rows the current model was trained on
+let trajectoryModel = null;
+let trajectoryNormalization = null;
+let trajectoryWeights = null; // Dense kernels/biases copied out of trajectoryModel for fast rollouts
 const MODEL_NAME = "pendulum-ml-model";
 const NORMALIZATION_NAME = "pendulum-normalization";
+const MODEL_INFO_NAME = "pendulum-model-info";
+const TRAJECTORY_MODEL_NAME = "pendulum-trajectory-model";
+const TRAJECTORY_NORMALIZATION_NAME = "pendulum-trajectory-normalization";
 const FEATURE_KEYS = ["length_m", "initialAngle_deg", "damping", "airDensity", "bobMass_kg", "gravity"];
 const TARGET_KEY = "estimatedPeriod_s";
 
+// Step model: (θ, ω, physical params) -> (Δθ, Δω) over TRAJECTORY_DT, rolled out to a full θ(t)
+const TRAJECTORY_DT = 0.05;
+const TRAJECTORY_FEATURE_KEYS = ["theta", "omega", "length_m", "damping", "airDensity", "bobMass_kg", "gravity", "dragCoefficient"];
+const TRAJECTORY_TARGET_KEYS = ["dTheta", "dOmega"];
+
+// Dataset seeds: held-out test rows must never share the training seed
+const TRAIN_SEED = 42;
+const TEST_SEED = 20240917;
+
+/** Parameter ranges sampled by generateSyntheticPendulumDataset */
+const SAMPLING_RANGES = {
+    length_m: { min: 0.1, max: 2.0 },
+    initialAngle_deg: { min: 5, max: 60 },
+    damping: { min: 0.0, max: 0.2 },
+    airDensity: { min: 0.8, max: 1.3 },
+    bobMass_kg: { min: 0.05, max: 0.5 },
+    gravity: { min: 5.0, max: 15.0 },
+    dragCoefficient: { min: 0.1, max: 1.0 },
+    timeStep: { min: 0.01, max: 0.01 } // Keep fixed for training data
+};
+
+/** Network and training settings used when the model builder leaves a field unset */
+const DEFAULT_MODEL_CONFIG = {
+    hiddenUnits: [24, 16, 8],
+    activation: "relu",
+    optimizer: "adam",
+    learningRate: 0.01,
+    batchSize: 32,
+    epochs: 100,
+    datasetSize: 800,
+    validationSplit: 0,
+};
+const ACTIVATIONS = ["relu", "tanh", "sigmoid", "elu"];
+const OPTIMIZERS = {
+    adam: (lr) => tf.train.adam(lr),
+    sgd: (lr) => tf.train.sgd(lr),
+    rmsprop: (lr) => tf.train.rmsprop(lr),
+    adagrad: (lr) => tf.train.adagrad(lr),
+};
+
 // --- PHYSICS UTILITIES (RK4 Integration, Period Estimation, Helpers) ---
 
 /** Deterministic RNG (Mulberry32) - for consistent synthetic data */
@@ -28,7 +75,7 @@ function mulberry32(seed) {
 const deg2rad = (d) => (d * Math.PI) / 180;
 const rad2deg = (r) => (r * 180) / Math.PI;
 
-/** Mechanical energy calculation */
+/** Mechanical energy calculation, split into kinetic and potential parts */
 function computeEnergy(theta, omega, p) {
     const L = p.length_m;
     const m = p.bobMass_kg;
@@ -36,58 +83,255 @@ function computeEnergy(theta, omega, p) {
     const v = L * omega;
     const kinetic = 0.5 * m * v * v;
     const potential = m * g * L * (1 - Math.cos(theta));
-    return kinetic + potential;
+    return { kinetic, potential };
+}
+
+/** Bob cross-sectional area (approximated, assuming 2.8cm diameter) */
+const BOB_AREA = Math.PI * (0.014 * 0.014);
+
+/** Supported systems: one bob, a double pendulum, or two pendulums joined by a spring */
+const PENDULUM_TYPES = ["simple", "double", "coupled"];
+
+/** Angular acceleration from linear damping and quadratic air drag acting on one bob */
+function dissipativeAcceleration(omega, L, m, p) {
+    const c = p.damping;
+    const Cd = p.dragCoefficient;
+    const rho = p.airDensity;
+
+    // Torque = -c*omega*L^2 - 0.5*rho*|v|*v*A*Cd*L
+    const dampingTerm = -c * omega * L * L; // Assuming linear damping is proportional to velocity
+
+    const v = L * omega;
+    const dragForce = 0.5 * rho * Math.abs(v) * v * BOB_AREA * Cd;
+    const dragTerm = -dragForce * L;
+
+    return (dampingTerm + dragTerm) / (m * L * L);
+}
+
+/** Periodic driving torque (N·m) on the upper rod: A*cos(2*pi*f*t), with f in Hz */
+function drivingTorque(p, t) {
+    const A = p.driveAmplitude ?? 0;
+    if (!A) return 0;
+    return A * Math.cos(2 * Math.PI * (p.driveFrequency ?? 0) * t);
 }
 
 /** Core nonlinear dynamics derivatives (d(theta)/dt and d(omega)/dt) */
-function pendulumDerivatives(theta, omega, p) {
+function pendulumDerivatives(theta, omega, p, t = 0) {
     const L = p.length_m;
     const m = p.bobMass_kg;
     const g = p.gravity;
-    const c = p.damping; 
-    const Cd = p.dragCoefficient; 
-    const rho = p.airDensity; 
-    const A = Math.PI * (0.014 * 0.014); // Bob cross-sectional area (approximated, assuming 2.8cm diameter)
-    
+
     const dtheta = omega; 
     
-    // Non-linear, damped, and drag-affected equation of motion:
-    // Torque = -m*g*L*sin(theta) - c*omega*L^2 - 0.5*rho*|v|*v*A*Cd*L
+    // Non-linear, damped, drag-affected and driven equation of motion:
+    // Torque = -m*g*L*sin(theta) - c*omega*L^2 - 0.5*rho*|v|*v*A*Cd*L + A_drive*cos(2*pi*f*t)
     const gravityTerm = -m * g * L * Math.sin(theta);
-    const dampingTerm = -c * omega * L * L; // Assuming linear damping is proportional to velocity
-    
-    const v = L * omega;
-    const dragForce = 0.5 * rho * Math.abs(v) * v * A * Cd;
-    const dragTerm = -dragForce * L;
-    
     const momentOfInertia = m * L * L;
     
     // Angular acceleration (alpha)
-    const domega = (gravityTerm + dampingTerm + dragTerm) / momentOfInertia; 
+    const domega = (gravityTerm + drivingTorque(p, t)) / momentOfInertia + dissipativeAcceleration(omega, L, m, p);
     
     return { dtheta, domega };
 }
 
-/** Fourth-order Runge-Kutta integrator for the next step */
-function rk4Step(theta, omega, dt, p) {
-    const k1 = pendulumDerivatives(theta, omega, p);
+/** Double pendulum derivatives for state [theta1, omega1, theta2, omega2] (point masses on massless rods) */
+function doublePendulumDerivatives(state, p, t = 0) {
+    const [t1, w1, t2, w2] = state;
+    const L1 = p.length_m;
+    const L2 = p.length2_m;
+    const m1 = p.bobMass_kg;
+    const m2 = p.bobMass2_kg;
+    const g = p.gravity;
+
+    const delta = t1 - t2;
+    const den = 2 * m1 + m2 - m2 * Math.cos(2 * delta);
+
+    const a1 = (-g * (2 * m1 + m2) * Math.sin(t1)
+        - m2 * g * Math.sin(t1 - 2 * t2)
+        - 2 * Math.sin(delta) * m2 * (w2 * w2 * L2 + w1 * w1 * L1 * Math.cos(delta))) / (L1 * den);
+    const a2 = (2 * Math.sin(delta) * (w1 * w1 * L1 * (m1 + m2)
+        + g * (m1 + m2) * Math.cos(t1)
+        + w2 * w2 * L2 * m2 * Math.cos(delta))) / (L2 * den);
+
+    // Driving torque acts on the upper rod only; solving the mass matrix spreads it over both angles
+    const Q = drivingTorque(p, t);
+    const effMass = m1 + m2 * Math.sin(delta) ** 2;
+    const drive1 = Q / (L1 * L1 * effMass);
+    const drive2 = -Q * Math.cos(delta) / (L1 * L2 * effMass);
+
+    return [
+        w1, a1 + drive1 + dissipativeAcceleration(w1, L1, m1, p),
+        w2, a2 + drive2 + dissipativeAcceleration(w2, L2, m2, p),
+    ];
+}
+
+/** Coupled pendulum derivatives: two bobs on separate pivots joined by a horizontal spring */
+function coupledPendulumDerivatives(state, p, t = 0) {
+    const [t1, w1, t2, w2] = state;
+    const L1 = p.length_m;
+    const L2 = p.length2_m;
+    const m1 = p.bobMass_kg;
+    const m2 = p.bobMass2_kg;
+    const g = p.gravity;
+    const k = p.springConstant;
+
+    // Spring rest length equals the pivot separation, so its stretch is the difference in horizontal displacement
+    const stretch = L1 * Math.sin(t1) - L2 * Math.sin(t2);
+    const torque1 = -m1 * g * L1 * Math.sin(t1) - k * stretch * L1 * Math.cos(t1) + drivingTorque(p, t);
+    const torque2 = -m2 * g * L2 * Math.sin(t2) + k * stretch * L2 * Math.cos(t2);
+
+    return [
+        w1, torque1 / (m1 * L1 * L1) + dissipativeAcceleration(w1, L1, m1, p),
+        w2, torque2 / (m2 * L2 * L2) + dissipativeAcceleration(w2, L2, m2, p),
+    ];
+}
+
+/** State-vector derivatives for the selected pendulum type. State is [theta1, omega1, (theta2, omega2)] */
+function systemDerivatives(state, p, t = 0) {
+    switch (p.pendulumType) {
+        case "double": return doublePendulumDerivatives(state, p, t);
+        case "coupled": return coupledPendulumDerivatives(state, p, t);
+        default: {
+            const d = pendulumDerivatives(state[0], state[1], p, t);
+            return [d.dtheta, d.domega];
+        }
+    }
+}
+
+/** Fourth-order Runge-Kutta integrator for the next step of any state vector */
+function rk4Step(state, dt, deriv, p, t = 0) {
+    const shift = (k, h) => state.map((s, i) => s + k[i] * h);
+
+    const k1 = deriv(state, p, t);
+    const k2 = deriv(shift(k1, dt / 2), p, t + dt / 2);
+    const k3 = deriv(shift(k2, dt / 2), p, t + dt / 2);
+    const k4 = deriv(shift(k3, dt), p, t + dt);
+
+    return state.map((s, i) => s + (dt / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+}
+
+/** Explicit (forward) Euler: first order, steadily gains energy on an undamped pendulum */
+function eulerStep(state, dt, deriv, p, t = 0) {
+    const k = deriv(state, p, t);
+    return state.map((s, i) => s + k[i] * dt);
+}
+
+/** Semi-implicit (symplectic) Euler: update each ω first, then advance its angle with the new ω */
+function semiImplicitEulerStep(state, dt, deriv, p, t = 0) {
+    const k = deriv(state, p, t);
+    const next = state.slice();
+    for (let i = 0; i < state.length; i += 2) {
+        next[i + 1] = state[i + 1] + k[i + 1] * dt;
+        next[i] = state[i] + next[i + 1] * dt;
+    }
+    return next;
+}
+
+/**
+ * Velocity Verlet. Damping, drag and the double pendulum's coupling make the acceleration depend on ω,
+ * so the second acceleration is evaluated with an Euler-predicted ω.
+ */
+function verletStep(state, dt, deriv, p, t = 0) {
+    const a0 = deriv(state, p, t);
+    const predicted = state.map((s, i) => i % 2 === 0
+        ? s + state[i + 1] * dt + 0.5 * a0[i + 1] * dt * dt
+        : s + a0[i] * dt);
+    const a1 = deriv(predicted, p, t + dt);
+    return predicted.map((s, i) => i % 2 === 0 ? s : state[i] + 0.5 * (a0[i] + a1[i]) * dt);
+}
+
+// Dormand-Prince 5(4) tableau
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DP_A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84],
+];
+const DP_B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+const DP_B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+/**
+ * Adaptive RK45 (Dormand-Prince). Takes as many sub-steps as the error estimate needs
+ * to cover dt, so the output still lands on the fixed timeStep grid.
+ */
+function rk45Step(state, dt, deriv, p, t = 0) {
+    const tol = p.rk45Tolerance ?? 1e-8;
+    const tEnd = t + dt;
+    const combine = (y, k, weights, h) =>
+        y.map((s, j) => s + h * weights.reduce((sum, w, m) => sum + w * k[m][j], 0));
+
+    let y = state;
+    let time = t;
+    let h = dt;
+    while (tEnd - time > 1e-12) {
+        h = Math.min(h, tEnd - time);
+        const k = [];
+        for (let i = 0; i < DP_C.length; i++) {
+            k.push(deriv(combine(y, k, DP_A[i], h), p, time + DP_C[i] * h));
+        }
+        const y5 = combine(y, k, DP_B5, h);
+        const y4 = combine(y, k, DP_B4, h);
+        const err = y5.reduce((max, s, j) => Math.max(max, Math.abs(s - y4[j])), 0);
+        // A non-finite error would turn h into NaN and never finish the step
+        if (!Number.isFinite(err)) {
+            throw new Error(`RK45 step failed at t = ${time.toFixed(3)} s: the state is no longer finite.`);
+        }
+
+        if (err <= tol || h < 1e-6) {
+            y = y5;
+            time += h;
+        }
+        h *= err === 0 ? 2 : Math.min(2, Math.max(0.2, 0.9 * Math.pow(tol / err, 0.2)));
+    }
+    return y;
+}
 
-    const k2_theta = theta + (k1.dtheta * dt) / 2;
-    const k2_omega = omega + (k1.domega * dt) / 2;
-    const k2 = pendulumDerivatives(k2_theta, k2_omega, p);
+/** Integrators selectable through params.integrator; all share rk4Step's signature */
+const INTEGRATORS = {
+    rk4: rk4Step,
+    euler: eulerStep,
+    semiImplicitEuler: semiImplicitEulerStep,
+    verlet: verletStep,
+    rk45: rk45Step,
+};
 
-    const k3_theta = theta + (k2.dtheta * dt) / 2;
-    const k3_omega = omega + (k2.domega * dt) / 2;
-    const k3 = pendulumDerivatives(k3_theta, k3_omega, p);
+/** Horizontal offset of the second pivot (m). Only the coupled system has two pivots. */
+function secondPivotOffset(p) {
+    return p.pendulumType === "coupled" ? 0.75 * Math.max(p.length_m, p.length2_m) : 0;
+}
 
-    const k4_theta = theta + k3.dtheta * dt;
-    const k4_omega = omega + k3.domega * dt;
-    const k4 = pendulumDerivatives(k4_theta, k4_omega, p);
+/** Kinetic and potential (gravitational + spring) energy of the whole system */
+function computeSystemEnergy(state, p) {
+    if (p.pendulumType !== "double" && p.pendulumType !== "coupled") {
+        return computeEnergy(state[0], state[1], p);
+    }
+    const [t1, w1, t2, w2] = state;
+    const L1 = p.length_m;
+    const L2 = p.length2_m;
+    const m1 = p.bobMass_kg;
+    const m2 = p.bobMass2_kg;
+    const g = p.gravity;
 
-    const nextTheta = theta + (dt / 6) * (k1.dtheta + 2 * k2.dtheta + 2 * k3.dtheta + k4.dtheta);
-    const nextOmega = omega + (dt / 6) * (k1.domega + 2 * k2.domega + 2 * k3.domega + k4.domega);
+    if (p.pendulumType === "double") {
+        const kinetic = 0.5 * m1 * L1 * L1 * w1 * w1
+            + 0.5 * m2 * (L1 * L1 * w1 * w1 + L2 * L2 * w2 * w2 + 2 * L1 * L2 * w1 * w2 * Math.cos(t1 - t2));
+        // Zero potential energy with both bobs hanging straight down
+        const potential = m1 * g * L1 * (1 - Math.cos(t1))
+            + m2 * g * (L1 * (1 - Math.cos(t1)) + L2 * (1 - Math.cos(t2)));
+        return { kinetic, potential };
+    }
 
-    return { nextTheta, nextOmega };
+    const bob1 = computeEnergy(t1, w1, p);
+    const bob2 = computeEnergy(t2, w2, { ...p, length_m: L2, bobMass_kg: m2 });
+    const stretch = L1 * Math.sin(t1) - L2 * Math.sin(t2);
+    return {
+        kinetic: bob1.kinetic + bob2.kinetic,
+        potential: bob1.potential + bob2.potential + 0.5 * p.springConstant * stretch * stretch,
+    };
 }
 
 /** Estimate period from angle time series by finding peaks */
@@ -116,72 +360,328 @@ function estimatePeriodFromSeries(states, minSwings = 3) {
     return { meanPeriod: mean, std: sd, nSwings: diffs.length };
 }
 
+/** ζ within this of 1 counts as critically damped */
+const CRITICAL_BAND = 0.05;
+
+/**
+ * Damping regime of the (first) pendulum from its linearised equation θ'' + 2γθ' + ω0²θ = 0.
+ * Linear damping gives γ = c / 2m. Quadratic drag is replaced by the linear damping that removes
+ * the same energy per cycle at the starting amplitude (harmonic balance), so its share shrinks as the swing decays.
+ */
+function classifyDamping(p) {
+    const m = p.bobMass_kg;
+    const L = p.length_m;
+    const omega0 = Math.sqrt(p.gravity / L);
+    const dampingGamma = p.damping / (2 * m);
+
+    // Drag angular acceleration is -k|ω|ω with k = ρ·A·Cd·L / 2m; peak ω at the start is about θ0·ω0
+    const k = (p.airDensity * BOB_AREA * p.dragCoefficient * L) / (2 * m);
+    const peakOmega = deg2rad(swingAmplitude_deg(p)) * omega0;
+    const dragGamma = (4 / (3 * Math.PI)) * k * peakOmega;
+
+    const gamma = dampingGamma + dragGamma;
+    const zeta = gamma / omega0;
+    let regime = "underdamped";
+    if (Math.abs(zeta - 1) <= CRITICAL_BAND) regime = "critical";
+    else if (zeta > 1) regime = "overdamped";
+
+    return {
+        regime,
+        zeta,
+        gamma,
+        dragGamma,
+        omega0,
+        criticalDamping: 2 * m * omega0, // value of c that alone gives ζ = 1
+        q: zeta > 0 ? 1 / (2 * zeta) : Infinity,
+        logDecrement: zeta < 1 ? (2 * Math.PI * zeta) / Math.sqrt(1 - zeta * zeta) : NaN,
+        dampedPeriod: zeta < 1 ? (2 * Math.PI) / (omega0 * Math.sqrt(1 - zeta * zeta)) : NaN,
+    };
+}
+
+/**
+ * Measures the decay of a simulated swing from its successive positive peaks: the logarithmic
+ * decrement δ = ln(θn / θn+1) (a line fit of ln θ against peak number), Q ≈ π/δ and the decay rate.
+ * Returns NaNs when fewer than 2 peaks occur.
+ */
+function analyzeDecay(states) {
+    const peaks = [];
+    for (let i = 1; i < states.length - 1; i++) {
+        const theta = states[i].theta;
+        if (theta > 0 && theta > states[i - 1].theta && theta > states[i + 1].theta) {
+            peaks.push({ t: states[i].t, theta });
+        }
+    }
+    if (peaks.length < 2) {
+        return { peaks, logDecrement: NaN, q: NaN, decayRate: NaN };
+    }
+
+    const logs = peaks.map(pk => Math.log(pk.theta));
+    const logDecrement = -linearRegression(peaks.map((_, i) => i), logs).slope;
+    const decayRate = -linearRegression(peaks.map(pk => pk.t), logs).slope;
+    return {
+        peaks,
+        logDecrement,
+        q: logDecrement > 0 ? Math.PI / logDecrement : Infinity,
+        decayRate,
+    };
+}
+
 /** Small-angle theoretical period (T = 2π sqrt(L/g)) */
 function theoreticalSmallAnglePeriod(L_m, g = 9.81) {
     return 2 * Math.PI * Math.sqrt(L_m / g);
 }
 
+/** Complete elliptic integral of the first kind K(k), via the arithmetic-geometric mean */
+function completeEllipticK(k) {
+    let a = 1;
+    let b = Math.sqrt(1 - k * k);
+    for (let i = 0; i < 30 && Math.abs(a - b) > 1e-15; i++) {
+        const next = (a + b) / 2;
+        b = Math.sqrt(a * b);
+        a = next;
+    }
+    return Math.PI / (2 * a);
+}
+
+/** Exact undamped period for any amplitude: T = 4 sqrt(L/g) K(sin(θ0/2)) */
+function exactLargeAnglePeriod(L_m, amplitude_deg, g = 9.81) {
+    const theta0 = Math.min(Math.abs(deg2rad(amplitude_deg)), Math.PI - 1e-6); // Period diverges at 180°
+    return 4 * Math.sqrt(L_m / g) * completeEllipticK(Math.sin(theta0 / 2));
+}
+
+/** Series-corrected period: T ≈ T0 (1 + θ0²/16 + 11θ0⁴/3072), good up to roughly 60° */
+function seriesCorrectedPeriod(L_m, amplitude_deg, g = 9.81) {
+    const theta0 = deg2rad(amplitude_deg);
+    const t2 = theta0 * theta0;
+    return theoreticalSmallAnglePeriod(L_m, g) * (1 + t2 / 16 + (11 * t2 * t2) / 3072);
+}
+
+/**
+ * Amplitude (°) of the swing that starts at the signed initialAngle_deg with angular velocity initialOmega,
+ * from energy conservation: 1 - cos(A) = 1 - cos(θ0) + L·ω0² / 2g. Enough energy to go over the top gives 180.
+ */
+function swingAmplitude_deg(p) {
+    const omega0 = p.initialOmega ?? 0;
+    const cosA = Math.cos(deg2rad(p.initialAngle_deg)) - (p.length_m * omega0 * omega0) / (2 * p.gravity);
+    return cosA <= -1 ? 180 : rad2deg(Math.acos(cosA));
+}
+
+/**
+ * The period model's view of an input: its initialAngle_deg slot holds the swing amplitude, so a signed
+ * start angle or a flick gives the same period as a release from rest at that amplitude
+ */
+function periodFeatures(input) {
+    return { ...input, initialAngle_deg: swingAmplitude_deg(input) };
+}
+
 // --- SIMULATION & DATA GENERATION ---
 
-/** Simulate pendulum motion over time (for generating physicsData) */
+/** Starting state vector [theta1, omega1, (theta2, omega2)]; the first bob starts at initialOmega, the second at rest */
+function initialState(p) {
+    const omega0 = p.initialOmega ?? 0;
+    return p.pendulumType === "simple"
+        ? [deg2rad(p.initialAngle_deg), omega0]
+        : [deg2rad(p.initialAngle_deg), omega0, deg2rad(p.initialAngle2_deg), 0];
+}
+
+/**
+ * Simulate pendulum motion over time (for generating physicsData).
+ * If the integrator blows up (a non-finite value), the series ends at the last finite state and carries blowUpTime (s).
+ */
 function simulatePendulum(params) {
     const p = {
         ...params,
+        pendulumType: PENDULUM_TYPES.includes(params.pendulumType) ? params.pendulumType : "simple",
         timeStep: params.timeStep ?? 0.01,
         totalTime: params.totalTime ?? 20, // Default 20s from config.json
         noiseSigma: params.noiseSigma ?? 0.0,
+        integrator: INTEGRATORS[params.integrator] ? params.integrator : "rk4",
     };
+    const twoBobs = p.pendulumType !== "simple";
+    if (twoBobs) {
+        p.length2_m = p.length2_m ?? p.length_m;
+        p.bobMass2_kg = p.bobMass2_kg ?? p.bobMass_kg;
+        p.initialAngle2_deg = p.initialAngle2_deg ?? 0;
+        p.springConstant = p.springConstant ?? 0;
+    }
 
-    let theta = deg2rad(p.initialAngle_deg);
-    let omega = 0; 
+    let state = initialState(p);
+    const step = INTEGRATORS[p.integrator];
     const dt = p.timeStep;
     const total = p.totalTime;
     const states = [];
     const L = p.length_m;
+    const pivot2X = secondPivotOffset(p);
 
     for (let t = 0; t <= total + 1e-9; t += dt) {
         // We only simulate up to the total time for performance
         if (t < total) {
-            const next = rk4Step(theta, omega, dt, p);
-            theta = next.nextTheta;
-            omega = next.nextOmega;
+            state = step(state, dt, systemDerivatives, p, t);
         }
 
-        const energy = computeEnergy(theta, omega, p);
-        const d_state = pendulumDerivatives(theta, omega, p);
-        const alpha = d_state.domega; 
+        const [theta, omega] = state;
+        const { kinetic, potential } = computeSystemEnergy(state, p);
+        const d_state = systemDerivatives(state, p, t);
+        const alpha = d_state[1]; 
         const x = L * Math.sin(theta);
         const y = -L * Math.cos(theta);
 
+        const point = {
+            t: t, theta: theta, omega: omega, alpha: alpha, x: x, y: y,
+            kinetic: kinetic, potential: potential, energy: kinetic + potential,
+        };
 
-        states.push({
-            t: t, theta: theta, omega: omega, alpha: alpha, x: x, y: y, energy: energy,
-        });
+        if (twoBobs) {
+            // Second bob hangs from the first bob (double) or from its own pivot (coupled)
+            const [, , theta2, omega2] = state;
+            const anchorX = p.pendulumType === "double" ? x : pivot2X;
+            const anchorY = p.pendulumType === "double" ? y : 0;
+            point.theta2 = theta2;
+            point.omega2 = omega2;
+            point.alpha2 = d_state[3];
+            point.x2 = anchorX + p.length2_m * Math.sin(theta2);
+            point.y2 = anchorY - p.length2_m * Math.cos(theta2);
+        }
+
+        if (!Object.values(point).every(Number.isFinite)) {
+            states.blowUpTime = t;
+            break;
+        }
+        states.push(point);
     }
     return states;
 }
 
+/** Runs simulatePendulum across a range of drive frequencies and records the steady-state amplitude */
+function resonanceSweep(params, options = {}) {
+    const fMin = options.fMin ?? 0.1;
+    const fMax = options.fMax ?? 1.5;
+    const steps = Math.max(2, Math.floor(options.steps ?? 30));
+    const settleFraction = options.settleFraction ?? 0.75; // Ignore the transient in the first 75% of each run
+
+    const curve = [];
+    for (let i = 0; i < steps; i++) {
+        const frequency = fMin + (i * (fMax - fMin)) / (steps - 1);
+        const series = simulatePendulum({ ...params, driveFrequency: frequency });
+        const tail = series.slice(Math.floor(series.length * settleFraction));
+        const amplitude = tail.reduce((max, s) => Math.max(max, Math.abs(s.theta)), 0);
+        curve.push({ frequency, amplitude_deg: rad2deg(amplitude) });
+    }
+    return curve;
+}
+
+/**
+ * Steps one input (a getSimParameters key) from min to max and measures the simulated period
+ * at each value, alongside the small-angle and exact formulas
+ */
+function parameterSweep(params, key, options = {}) {
+    const steps = Math.max(2, Math.floor(options.steps ?? 15));
+    const { min, max } = options;
+    // Long enough for several swings even at the longest period
+    const totalTime = key === "totalTime" ? undefined : Math.max(params.totalTime, options.minTotalTime ?? 20);
+
+    const points = [];
+    for (let i = 0; i < steps; i++) {
+        const value = min + (i * (max - min)) / (steps - 1);
+        const p = { ...params, [key]: value };
+        if (totalTime !== undefined) p.totalTime = totalTime;
+        const est = estimatePeriodFromSeries(simulatePendulum(p), 3);
+        points.push({
+            value,
+            simPeriod: est.meanPeriod,
+            smallAngle: theoreticalSmallAnglePeriod(p.length_m, p.gravity),
+            exact: exactLargeAnglePeriod(p.length_m, swingAmplitude_deg(p), p.gravity),
+        });
+    }
+    return points;
+}
+
+/**
+ * Ordinary least-squares line y = intercept + slope·x, with standard errors of both
+ * coefficients and what confidence bands need (residual SD, mean of x, Sxx)
+ */
+function linearRegression(xs, ys) {
+    const n = xs.length;
+    if (n < 2) throw new Error("A line fit needs at least 2 points.");
+
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+    let sxx = 0, sxy = 0, syy = 0;
+    for (let i = 0; i < n; i++) {
+        sxx += (xs[i] - meanX) ** 2;
+        sxy += (xs[i] - meanX) * (ys[i] - meanY);
+        syy += (ys[i] - meanY) ** 2;
+    }
+    if (sxx === 0) throw new Error("A line fit needs at least 2 different x values.");
+
+    const slope = sxy / sxx;
+    const intercept = meanY - slope * meanX;
+    const sse = ys.reduce((acc, y, i) => acc + (y - (intercept + slope * xs[i])) ** 2, 0);
+    // With only 2 points the line is exact and the scatter cannot be estimated
+    const residualSD = n > 2 ? Math.sqrt(sse / (n - 2)) : NaN;
+
+    return {
+        slope,
+        intercept,
+        slopeSE: residualSD / Math.sqrt(sxx),
+        interceptSE: residualSD * Math.sqrt(1 / n + meanX ** 2 / sxx),
+        r2: syy > 0 ? 1 - sse / syy : 1,
+        residualSD,
+        n,
+        meanX,
+        sxx,
+    };
+}
+
+/** Fits y = prefactor · x^exponent as a straight line through (log x, log y); non-positive points are skipped */
+function powerLawFit(xs, ys) {
+    const keep = xs.map((x, i) => i).filter(i => xs[i] > 0 && ys[i] > 0 && Number.isFinite(ys[i]));
+    const fit = linearRegression(keep.map(i => Math.log(xs[i])), keep.map(i => Math.log(ys[i])));
+    return {
+        exponent: fit.slope,
+        exponentSE: fit.slopeSE,
+        prefactor: Math.exp(fit.intercept),
+        r2: fit.r2,
+        n: fit.n,
+    };
+}
+
+/**
+ * Runs the same undamped, undriven system with each integrator and tracks the relative
+ * energy error |E(t) - E0| / E0, which should stay at zero for the exact solution
+ */
+function compareIntegrators(params, names = Object.keys(INTEGRATORS)) {
+    const undamped = { ...params, damping: 0, dragCoefficient: 0, driveAmplitude: 0 };
+    // A zero-length run returns just the starting state
+    const E0 = simulatePendulum({ ...undamped, totalTime: 0 })[0].energy;
+
+    return names.map(name => {
+        const series = simulatePendulum({ ...undamped, integrator: name });
+        const drift = series.map(s => Math.abs(s.energy - E0) / Math.max(E0, 1e-12));
+        return {
+            integrator: name,
+            times: series.map(s => s.t),
+            drift,
+            // A run that blew up ranks after every finite one
+            finalDrift: series.blowUpTime === undefined ? drift[drift.length - 1] : Infinity,
+            blowUpTime: series.blowUpTime ?? null,
+        };
+    });
+}
+
 /** Generates synthetic training data (800 rows required) */
 function generateSyntheticPendulumDataset(spec) {
     const rows = [];
     const n = spec.n || 800;
     const simDuration_s = spec.simDuration_s || 20;
     
-    // Fixed seed for deterministic data generation
-    const rng = mulberry32(42); 
-
-    const ranges = {
-        length_m: { min: 0.1, max: 2.0 },
-        initialAngle_deg: { min: 5, max: 60 },
-        damping: { min: 0.0, max: 0.2 },
-        airDensity: { min: 0.8, max: 1.3 },
-        bobMass_kg: { min: 0.05, max: 0.5 },
-        gravity: { min: 5.0, max: 15.0 },
-        dragCoefficient: { min: 0.1, max: 1.0 },
-        timeStep: { min: 0.01, max: 0.01 } // Keep fixed for training data
-    };
+    // Fixed seed for deterministic data generation; pass a different seed for a held-out set
+    const rng = mulberry32(spec.seed ?? TRAIN_SEED); 
+
+    const ranges = SAMPLING_RANGES;
 
     const getRand = (min, max) => min + rng() * (max - min);
+    const progressEvery = Math.max(1, Math.floor(n / 50));
 
     for (let i = 0; i < n; i++) {
         const simParams = {
@@ -208,17 +708,269 @@ function generateSyntheticPendulumDataset(spec) {
             ...simParams,
             estimatedPeriod_s: Math.round(meanPeriod * 1000) / 1000,
         });
+        if (spec.onProgress && ((i + 1) % progressEvery === 0 || i === n - 1)) spec.onProgress(i + 1, n);
     }
     return rows;
 }
 
+// --- MEASURED DATA & FITTING ---
+
+/** Column headers (lowercased) recognised in measured-data CSVs */
+const MEASURED_COLUMNS = {
+    time: /^(t|time)\b|^t_|^time_/,
+    angle: /theta|angle/,
+    count: /count|oscillation|swing/,
+    period: /period/,
+    length: /^l\b|^l_|length/,
+};
+
+/**
+ * Turns a parsed CSV ({columns, rows}) into measured pendulum data:
+ * - { kind: "series", t, theta }: a recorded swing (time and angle columns; angles in degrees unless the header says rad),
+ *   shifted to start at t = 0
+ * - { kind: "periods", rows: [{ period, length_m?, initialAngle_deg? }] }: timed swings (count + time) or a period column
+ */
+function parseMeasuredPendulumData(table) {
+    const find = (pattern, exclude = []) =>
+        table.columns.find(c => pattern.test(c.toLowerCase()) && !exclude.includes(c));
+    const number = (v) => (typeof v === "number" ? v : parseFloat(v));
+
+    const periodCol = find(MEASURED_COLUMNS.period);
+    const countCol = find(MEASURED_COLUMNS.count);
+    const timeCol = find(MEASURED_COLUMNS.time, [periodCol, countCol]);
+    const angleCol = find(MEASURED_COLUMNS.angle);
+    const lengthCol = find(MEASURED_COLUMNS.length);
+
+    if (periodCol || (countCol && timeCol)) {
+        const rows = table.rows.map(r => {
+            const period = periodCol ? number(r[periodCol]) : number(r[timeCol]) / number(r[countCol]);
+            const row = { period };
+            if (lengthCol) row.length_m = number(r[lengthCol]);
+            if (angleCol) row.initialAngle_deg = number(r[angleCol]);
+            return row;
+        }).filter(r => Number.isFinite(r.period) && r.period > 0);
+        if (rows.length === 0) throw new Error("No rows with a positive period were found.");
+        return { kind: "periods", rows };
+    }
+
+    if (timeCol && angleCol) {
+        const toRad = /rad/.test(angleCol.toLowerCase()) ? (v) => v : deg2rad;
+        const points = table.rows
+            .map(r => ({ t: number(r[timeCol]), theta: toRad(number(r[angleCol])) }))
+            .filter(pt => Number.isFinite(pt.t) && Number.isFinite(pt.theta))
+            .sort((a, b) => a.t - b.t);
+        if (points.length < 5) throw new Error("A recorded swing needs at least 5 time/angle rows.");
+        if (new Set(points.map(pt => pt.t)).size < 5) {
+            throw new Error("A recorded swing needs at least 5 different times; check the time column.");
+        }
+        const t0 = points[0].t;
+        return {
+            kind: "series",
+            t: points.map(pt => pt.t - t0),
+            theta: points.map(pt => pt.theta),
+        };
+    }
+
+    throw new Error("Expected time + angle columns, oscillation count + time columns, or a period column.");
+}
+
+/** Downhill simplex minimisation of f over R^n (no derivatives needed, so it works through the simulator) */
+function nelderMead(f, x0, options = {}) {
+    const n = x0.length;
+    const maxIterations = options.maxIterations ?? 200 * n;
+    const tolerance = options.tolerance ?? 1e-8;
+    const step = options.step ?? 0.5;
+
+    let simplex = [x0, ...x0.map((_, i) => x0.map((v, j) => (j === i ? v + step : v)))]
+        .map(x => ({ x, f: f(x) }));
+    let evaluations = n + 1;
+    const evaluate = (x) => { evaluations++; return f(x); };
+    const along = (c, x, k) => c.map((ci, j) => ci + k * (x[j] - ci));
+
+    let iterations = 0;
+    for (; iterations < maxIterations; iterations++) {
+        simplex.sort((a, b) => a.f - b.f);
+        const best = simplex[0];
+        const worst = simplex[n];
+        if (Math.abs(worst.f - best.f) <= tolerance * (Math.abs(best.f) + tolerance)) break;
+
+        const centroid = x0.map((_, j) => simplex.slice(0, n).reduce((acc, v) => acc + v.x[j], 0) / n);
+        const xr = along(centroid, worst.x, -1);
+        const fr = evaluate(xr);
+
+        if (fr < best.f) {
+            const xe = along(centroid, worst.x, -2);
+            const fe = evaluate(xe);
+            simplex[n] = fe < fr ? { x: xe, f: fe } : { x: xr, f: fr };
+        } else if (fr < simplex[n - 1].f) {
+            simplex[n] = { x: xr, f: fr };
+        } else {
+            // Contract towards the centroid (outside if the reflection helped a little), else shrink towards the best vertex
+            const xc = fr < worst.f ? along(centroid, xr, 0.5) : along(centroid, worst.x, 0.5);
+            const fc = evaluate(xc);
+            if (fc < Math.min(fr, worst.f)) {
+                simplex[n] = { x: xc, f: fc };
+            } else {
+                simplex = simplex.map((v, i) => {
+                    if (i === 0) return v;
+                    const x = along(best.x, v.x, 0.5);
+                    return { x, f: evaluate(x) };
+                });
+            }
+        }
+    }
+
+    simplex.sort((a, b) => a.f - b.f);
+    return { x: simplex[0].x, f: simplex[0].f, iterations, evaluations };
+}
+
+/**
+ * Finds the values of fitKeys (e.g. damping, length_m, gravity) within bounds that make simulatePendulum
+ * best match measured data from parseMeasuredPendulumData. The fit simulates a simple, undriven pendulum;
+ * every other input comes from params. A recorded swing is released from rest at its first angle.
+ * Returns { params, fitted, rmse, units, evaluations } (rmse in degrees for a swing, seconds for periods).
+ */
+function fitPendulumToMeasurements(params, data, fitKeys, bounds, options = {}) {
+    if (fitKeys.length === 0) throw new Error("Choose at least one parameter to fit.");
+    // Measured swings are taken as released from rest
+    const base = { ...params, pendulumType: "simple", driveAmplitude: 0, initialOmega: 0 };
+    if (data.kind === "series") {
+        base.initialAngle_deg = rad2deg(data.theta[0]);
+        base.totalTime = data.t[data.t.length - 1];
+        if (!(base.totalTime >= 3 * base.timeStep)) {
+            throw new Error(`The recorded swing lasts ${base.totalTime} s, too short to fit with a ${base.timeStep} s time step.`);
+        }
+    }
+
+    // Search over u in R, mapped into (min, max) with a logistic so every trial stays in range
+    const toValue = (key, u) => bounds[key].min + (bounds[key].max - bounds[key].min) / (1 + Math.exp(-u));
+    const toU = (key, v) => {
+        const { min, max } = bounds[key];
+        const frac = Math.min(Math.max((v - min) / (max - min), 1e-3), 1 - 1e-3);
+        return Math.log(frac / (1 - frac));
+    };
+    const withValues = (u) => {
+        const p = { ...base };
+        fitKeys.forEach((key, i) => { p[key] = toValue(key, u[i]); });
+        return p;
+    };
+
+    const meanSquaredError = data.kind === "series"
+        ? (p) => {
+            const states = simulatePendulum(p);
+            const dt = p.timeStep;
+            let sse = 0;
+            data.t.forEach((t, k) => {
+                const i = Math.min(Math.floor(t / dt), states.length - 2);
+                const f = (t - states[i].t) / dt;
+                const theta = states[i].theta + f * (states[i + 1].theta - states[i].theta);
+                sse += rad2deg(theta - data.theta[k]) ** 2;
+            });
+            return sse / data.t.length;
+        }
+        : (p) => {
+            const sse = data.rows.reduce((acc, row) => {
+                const run = { ...p };
+                if (row.length_m !== undefined) run.length_m = row.length_m;
+                if (row.initialAngle_deg !== undefined) run.initialAngle_deg = row.initialAngle_deg;
+                // Enough time for a handful of swings
+                run.totalTime = 5 * theoreticalSmallAnglePeriod(run.length_m, run.gravity) + 1;
+                const simPeriod = estimatePeriodFromSeries(simulatePendulum(run), 3).meanPeriod;
+                // Too damped to swing: count it as missing by the whole period
+                const err = Number.isFinite(simPeriod) ? simPeriod - row.period : row.period;
+                return acc + err * err;
+            }, 0);
+            return sse / data.rows.length;
+        };
+
+    const u0 = fitKeys.map(key => toU(key, base[key]));
+    const result = nelderMead(u => meanSquaredError(withValues(u)), u0, {
+        maxIterations: options.maxIterations ?? (data.kind === "series" ? 300 : 120),
+    });
+
+    const fitted = {};
+    fitKeys.forEach((key, i) => { fitted[key] = toValue(key, result.x[i]); });
+    return {
+        params: { ...base, ...fitted },
+        fitted,
+        rmse: Math.sqrt(result.f),
+        units: data.kind === "series" ? "°" : "s",
+        evaluations: result.evaluations,
+    };
+}
+
+/**
+ * Training rows (FEATURE_KEYS + TARGET_KEY, like generateSyntheticPendulumDataset) from measured data;
+ * inputs the data does not record come from params. A swing needs at least 3 peaks to give a period.
+ */
+function measurementsToTrainingRows(data, params) {
+    if (data.kind === "periods") {
+        return data.rows.map((row, i) => ({
+            runId: `measured_${i}`,
+            ...params,
+            length_m: row.length_m ?? params.length_m,
+            initialAngle_deg: row.initialAngle_deg ?? params.initialAngle_deg,
+            [TARGET_KEY]: row.period,
+        }));
+    }
+
+    const est = estimatePeriodFromSeries(data.t.map((t, i) => ({ t, theta: data.theta[i] })), 3);
+    if (!Number.isFinite(est.meanPeriod)) return [];
+    return [{
+        runId: "measured_0",
+        ...params,
+        initialAngle_deg: rad2deg(data.theta[0]),
+        [TARGET_KEY]: est.meanPeriod,
+    }];
+}
+
+// Surface gravity (m/s²) of the bodies offered as presets, and matched against an estimated g
+const GRAVITY_PRESETS = { earth: 9.81, moon: 1.62, mars: 3.71, jupiter: 24.79 };
+
+// Two-sided 95% Student t critical values for 1..30 degrees of freedom; beyond that the normal 1.96 is close enough
+const T_CRITICAL_95 = [
+    12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+    2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+    2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+const tCritical95 = (dof) => (dof <= T_CRITICAL_95.length ? T_CRITICAL_95[dof - 1] : 1.96);
+
+/** Preset body whose gravity is nearest g, compared as a ratio so the gaps between Moon, Mars and Earth count as much as Earth to Jupiter */
+function closestGravityPreset(g) {
+    return Object.keys(GRAVITY_PRESETS).reduce((best, name) =>
+        Math.abs(Math.log(g / GRAVITY_PRESETS[name])) < Math.abs(Math.log(g / GRAVITY_PRESETS[best])) ? name : best);
+}
+
+/**
+ * Estimates g from (length_m, period) pairs with the least-squares line T² = (4π²/g)·L + b.
+ * The intercept b soaks up a constant error in every length, such as measuring to the top of the bob instead of its centre.
+ * gSE follows from the slope's standard error (σg/g = σslope/slope); g95 is the 95% half-width and needs at least 3 pairs.
+ */
+function estimateGravity(pairs) {
+    const fit = linearRegression(pairs.map(p => p.length_m), pairs.map(p => p.period ** 2));
+    if (!(fit.slope > 0)) throw new Error("T² must grow with L to give a positive g.");
+
+    const g = (4 * Math.PI ** 2) / fit.slope;
+    const gSE = (g * fit.slopeSE) / fit.slope;
+    const tCrit = fit.n > 2 ? tCritical95(fit.n - 2) : NaN;
+    return { g, gSE, g95: tCrit * gSE, tCrit, fit, closest: closestGravityPreset(g) };
+}
+
+/** Fitted T² at length L with its 95% confidence band (for the line itself, not for new measurements) */
+function gravityFitBand(estimate, L) {
+    const { fit, tCrit } = estimate;
+    const T2 = fit.intercept + fit.slope * L;
+    const halfWidth = tCrit * fit.residualSD * Math.sqrt(1 / fit.n + (L - fit.meanX) ** 2 / fit.sxx);
+    return { T2, lower: T2 - halfWidth, upper: T2 + halfWidth };
+}
+
 // --- TF.JS MODEL & UTILITIES ---
 
 /** Compute mean/std for standardization */
-function computeMeanStd(rows) {
+function computeMeanStd(rows, keys = FEATURE_KEYS) {
     const mean = {};
     const std = {};
-    for (const key of FEATURE_KEYS) {
+    for (const key of keys) {
         const values = rows.map(r => r[key]);
         const sum = values.reduce((a, b) => a + b, 0);
         mean[key] = sum / values.length;
@@ -241,6 +993,47 @@ function normalizeRows(rows, meanStd) {
     });
 }
 
+/**
+ * Generates (state, next state) pairs for the trajectory step model from RK4 runs.
+ * Each row holds θ, ω and the physical params, plus the change in θ and ω over TRAJECTORY_DT.
+ */
+function generateTrajectoryDataset(spec = {}) {
+    const runs = spec.runs || 150;
+    const simDuration_s = spec.simDuration_s || 8;
+    const timeStep = SAMPLING_RANGES.timeStep.min;
+    const stride = Math.round(TRAJECTORY_DT / timeStep);
+    const rng = mulberry32(spec.seed ?? TRAIN_SEED + 1);
+    const getRand = (key) => SAMPLING_RANGES[key].min + rng() * (SAMPLING_RANGES[key].max - SAMPLING_RANGES[key].min);
+
+    const rows = [];
+    for (let i = 0; i < runs; i++) {
+        const simParams = {
+            length_m: getRand("length_m"),
+            initialAngle_deg: getRand("initialAngle_deg"),
+            damping: getRand("damping"),
+            airDensity: getRand("airDensity"),
+            bobMass_kg: getRand("bobMass_kg"),
+            gravity: getRand("gravity"),
+            dragCoefficient: getRand("dragCoefficient"),
+        };
+        const series = simulatePendulum({ ...simParams, totalTime: simDuration_s, timeStep });
+
+        for (let k = 0; k + stride < series.length; k += stride) {
+            const now = series[k];
+            const next = series[k + stride];
+            rows.push({
+                ...simParams,
+                theta: now.theta,
+                omega: now.omega,
+                dTheta: next.theta - now.theta,
+                dOmega: next.omega - now.omega,
+            });
+        }
+        if (spec.onProgress) spec.onProgress(i + 1, runs);
+    }
+    return rows;
+}
+
 /** Format dataset into xs (features) and ys (targets) for TF.js training */
 function formatPendulumRowsForTraining(rows) {
     const xs = rows.map(r => [
@@ -250,20 +1043,51 @@ function formatPendulumRowsForTraining(rows) {
     return { xs, ys };
 }
 
-/** Creates the Neural Network model */
-function createPendulumModel(inputDim = 6) {
+const isIntInRange = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+
+/** Checks a model-builder config; returns a list of problems (empty when valid) */
+function validateModelConfig(config) {
+    const c = { ...DEFAULT_MODEL_CONFIG, ...config };
+    const errors = [];
+
+    if (!Array.isArray(c.hiddenUnits) || !isIntInRange(c.hiddenUnits.length, 1, 6)) {
+        errors.push("Use between 1 and 6 hidden layers.");
+    } else if (!c.hiddenUnits.every(u => isIntInRange(u, 1, 256))) {
+        errors.push("Each hidden layer needs a whole number of units from 1 to 256.");
+    }
+    if (!ACTIVATIONS.includes(c.activation)) errors.push(`Unknown activation "${c.activation}".`);
+    if (!OPTIMIZERS[c.optimizer]) errors.push(`Unknown optimizer "${c.optimizer}".`);
+    if (!(c.learningRate > 0 && c.learningRate <= 1)) errors.push("Learning rate must be above 0 and at most 1.");
+    if (!isIntInRange(c.epochs, 1, 1000)) errors.push("Epochs must be a whole number from 1 to 1000.");
+    if (!isIntInRange(c.datasetSize, 50, 5000)) errors.push("Dataset size must be a whole number from 50 to 5000.");
+    if (!(c.validationSplit >= 0 && c.validationSplit <= 0.5)) errors.push("Validation split must be between 0 and 0.5.");
+
+    const trainRows = Math.floor(c.datasetSize * (1 - c.validationSplit));
+    if (!isIntInRange(c.batchSize, 1, 1024)) {
+        errors.push("Batch size must be a whole number from 1 to 1024.");
+    } else if (c.batchSize > trainRows) {
+        errors.push(`Batch size (${c.batchSize}) is larger than the ${trainRows} training rows left after the validation split.`);
+    }
+    return errors;
+}
+
+/** Creates the Neural Network model: Dense hidden layers from config, then Dense(1) */
+function createPendulumModel(inputDim = 6, config = DEFAULT_MODEL_CONFIG) {
     if (pendulumModel) pendulumModel.dispose(); 
     
     pendulumModel = tf.sequential();
     
-    // Model architecture: Dense(24, relu) -> Dense(16, relu) -> Dense(8, relu) -> Dense(1)
-    pendulumModel.add(tf.layers.dense({ units: 24, activation: "relu", inputShape: [inputDim] }));
-    pendulumModel.add(tf.layers.dense({ units: 16, activation: "relu" }));
-    pendulumModel.add(tf.layers.dense({ units: 8, activation: "relu" }));
+    config.hiddenUnits.forEach((units, i) => {
+        pendulumModel.add(tf.layers.dense({
+            units,
+            activation: config.activation,
+            ...(i === 0 ? { inputShape: [inputDim] } : {}),
+        }));
+    });
     pendulumModel.add(tf.layers.dense({ units: 1 })); // Single output: Period
 
     pendulumModel.compile({
-        optimizer: tf.train.adam(0.01),
+        optimizer: OPTIMIZERS[config.optimizer](config.learningRate),
         loss: "meanSquaredError",
         metrics: ["mse", "mae"], // Metrics: loss, mse, mae for tfjs-vis
     });
@@ -296,17 +1120,113 @@ async function loadNormalizationIndexedDB() {
   return null;
 }
 
+/** Training details stored next to the model: when it was saved and what data it saw */
+async function saveModelInfo(info) {
+  localStorage.setItem(MODEL_INFO_NAME, JSON.stringify(info));
+}
+function loadModelInfo() {
+  const infoString = localStorage.getItem(MODEL_INFO_NAME);
+  if (!infoString) return null;
+  const info = JSON.parse(infoString);
+  trainingRanges = info.ranges || null;
+  return info;
+}
+
+/** Removes the saved model, normalization and training details, and unloads the model */
+async function deleteSavedModel() {
+  try {
+    await tf.io.removeModel(`localstorage://${MODEL_NAME}`);
+  } catch (e) {
+    // Nothing saved under that key
+  }
+  localStorage.removeItem(NORMALIZATION_NAME);
+  localStorage.removeItem(MODEL_INFO_NAME);
+  if (pendulumModel) pendulumModel.dispose();
+  pendulumModel = null;
+  normalization = null;
+  trainingRanges = null;
+
+  try {
+    await tf.io.removeModel(`localstorage://${TRAJECTORY_MODEL_NAME}`);
+  } catch (e) {
+    // No trajectory model saved
+  }
+  localStorage.removeItem(TRAJECTORY_NORMALIZATION_NAME);
+  if (trajectoryModel) trajectoryModel.dispose();
+  trajectoryModel = null;
+  trajectoryNormalization = null;
+  trajectoryWeights = null;
+}
+
+/** Min/max of each feature in the training rows */
+function featureRanges(rows) {
+    const ranges = {};
+    for (const key of FEATURE_KEYS) {
+        const values = rows.map(r => r[key]);
+        ranges[key] = { min: Math.min(...values), max: Math.max(...values) };
+    }
+    return ranges;
+}
+
+async function saveTrajectoryModel(model, norm) {
+  await model.save(`localstorage://${TRAJECTORY_MODEL_NAME}`);
+  localStorage.setItem(TRAJECTORY_NORMALIZATION_NAME, JSON.stringify(norm));
+}
+async function loadTrajectoryModel() {
+  const normString = localStorage.getItem(TRAJECTORY_NORMALIZATION_NAME);
+  if (!normString) return null;
+  try {
+    trajectoryModel = await tf.loadLayersModel(`localstorage://${TRAJECTORY_MODEL_NAME}/model.json`);
+  } catch (e) {
+    return null;
+  }
+  trajectoryNormalization = JSON.parse(normString);
+  trajectoryWeights = extractDenseWeights(trajectoryModel);
+  return trajectoryModel;
+}
+
 // --- MAIN FUNCTIONS ---
 
-/** Trains the model and shows tfjs-vis charts */
+/** Metrics charted while training (validation curves only when a split is held back) */
+function trainingMetrics(config) {
+    return config.validationSplit > 0
+        ? ['loss', 'val_loss', 'mae', 'val_mae']
+        : ['loss', 'mse', 'mae'];
+}
+
+/** Trains the model and shows tfjs-vis charts. options: model-builder config plus callbacks.onEpochEnd */
 async function trainPendulumModel(teacherRows, options = {}) {
     if (!tf) throw new Error("TensorFlow.js not loaded.");
     if (!tfvis) throw new Error("TensorFlow.js Vis not loaded.");
 
+    const { callbacks: userCallbacks, ...configOptions } = options;
+    const config = { ...DEFAULT_MODEL_CONFIG, ...configOptions };
+    const errors = validateModelConfig(config);
+    if (errors.length) throw new Error(errors.join(" "));
+
     // Open the Visor to display the loss/metrics charts
     tfvis.visor().open(); 
 
-    const allRows = [...teacherRows]; 
+    const { model, info } = await fitPendulumModel(teacherRows, config, [
+        // Display Loss, MSE, and MAE charts
+        tfvis.show.fitCallbacks(
+            { name: 'Training Performance (Loss/MSE/MAE)' },
+            trainingMetrics(config), 
+            { callbacks: ['onEpochEnd'] }
+        ),
+        ...(userCallbacks ? [userCallbacks] : [])
+    ]);
+
+    await saveNormalizationIndexedDB(normalization);
+    await saveModelIndexedDB(model);
+    await saveModelInfo(info);
+    
+    return { status: 'Training complete', model, normalization, info };
+}
+
+/** Normalizes, builds and fits the period model. No tfjs-vis or storage, so it also runs in the worker. */
+async function fitPendulumModel(teacherRows, config, callbacks = []) {
+    const allRows = teacherRows.map(periodFeatures);
     
     // 1. Normalize Data: Calculate mean/std and normalize features
     normalization = computeMeanStd(allRows);
@@ -318,33 +1238,297 @@ async function trainPendulumModel(teacherRows, options = {}) {
     const yTensor = tf.tensor2d(rawY);
     
     // 3. Create Model
-    const model = createPendulumModel(rawX[0].length);
+    const model = createPendulumModel(rawX[0].length, config);
     
-    // 4. Training Options (Default 100 epochs)
+    // 4. Training Options
     const trainOptions = { 
-        epochs: options.epochs || 100,
-        batchSize: options.batchSize || 32,
+        epochs: config.epochs,
+        batchSize: config.batchSize,
+        validationSplit: config.validationSplit,
         shuffle: true,
-        callbacks: [
-            // Display Loss, MSE, and MAE charts
-            tfvis.show.fitCallbacks(
-                { name: 'Training Performance (Loss/MSE/MAE)' },
-                ['loss', 'mse', 'mae'], 
-                { callbacks: ['onEpochEnd'] }
-            )
-        ]
+        callbacks
     };
 
     // 5. Train
     await model.fit(xTensor, yTensor, trainOptions);
     
-    // 6. Cleanup Tensors and Save
+    // 6. Cleanup Tensors
     xTensor.dispose(); 
     yTensor.dispose();
-    await saveNormalizationIndexedDB(normalization);
-    await saveModelIndexedDB(model);
+    const info = {
+        savedAt: new Date().toISOString(),
+        samples: allRows.length,
+        epochs: trainOptions.epochs,
+        config,
+        ranges: featureRanges(allRows),
+    };
+    trainingRanges = info.ranges;
     
-    return { status: 'Training complete', model, normalization };
+    return { model, normalization, info };
+}
+
+/** Trains the step model on generateTrajectoryDataset rows and shows its loss in tfjs-vis */
+async function trainTrajectoryModel(rows, options = {}) {
+    if (!tf) throw new Error("TensorFlow.js not loaded.");
+    if (!tfvis) throw new Error("TensorFlow.js Vis not loaded.");
+
+    tfvis.visor().open();
+
+    await fitTrajectoryModel(rows, options, [
+        tfvis.show.fitCallbacks(
+            { name: "Trajectory Model (Δθ, Δω per step)" },
+            ["loss", "val_loss"],
+            { callbacks: ["onEpochEnd"] }
+        ),
+        ...(options.callbacks ? [options.callbacks] : [])
+    ]);
+
+    await saveTrajectoryModel(trajectoryModel, trajectoryNormalization);
+    return { status: "Training complete", model: trajectoryModel };
+}
+
+/** Builds and fits the trajectory step model. No tfjs-vis or storage, so it also runs in the worker. */
+async function fitTrajectoryModel(rows, options = {}, callbacks = []) {
+    const norm = computeMeanStd(rows, [...TRAJECTORY_FEATURE_KEYS, ...TRAJECTORY_TARGET_KEYS]);
+    const scale = (r, keys) => keys.map(k => (r[k] - norm.mean[k]) / norm.std[k]);
+    const xTensor = tf.tensor2d(rows.map(r => scale(r, TRAJECTORY_FEATURE_KEYS)));
+    const yTensor = tf.tensor2d(rows.map(r => scale(r, TRAJECTORY_TARGET_KEYS)));
+
+    // Smooth activations so the rolled-out trajectory has no kinks
+    if (trajectoryModel) trajectoryModel.dispose();
+    trajectoryModel = tf.sequential();
+    trajectoryModel.add(tf.layers.dense({ units: 64, activation: "tanh", inputShape: [TRAJECTORY_FEATURE_KEYS.length] }));
+    trajectoryModel.add(tf.layers.dense({ units: 64, activation: "tanh" }));
+    trajectoryModel.add(tf.layers.dense({ units: TRAJECTORY_TARGET_KEYS.length }));
+    trajectoryModel.compile({ optimizer: tf.train.adam(0.003), loss: "meanSquaredError", metrics: ["mae"] });
+
+    await trajectoryModel.fit(xTensor, yTensor, {
+        epochs: options.epochs || 30,
+        batchSize: options.batchSize || 128,
+        validationSplit: 0.1,
+        shuffle: true,
+        callbacks
+    });
+
+    xTensor.dispose();
+    yTensor.dispose();
+    trajectoryNormalization = norm;
+    trajectoryWeights = extractDenseWeights(trajectoryModel);
+    return { model: trajectoryModel, normalization: norm };
+}
+
+// --- WORKER JOBS ---
+
+/** Serializes a model to plain artifacts (topology + weight buffer) that survive postMessage */
+async function modelToArtifacts(model) {
+    let artifacts = null;
+    await model.save(tf.io.withSaveHandler(async (a) => {
+        artifacts = a;
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: "JSON" } };
+    }));
+    return artifacts;
+}
+
+/**
+ * Runs one long job: "generate" (dataset rows), "train" (period model) or "trainTrajectory".
+ * pendulum-worker.js calls this off the main thread; report() receives progress messages.
+ */
+async function runPendulumJob(job, report) {
+    const progress = (stage) => (done, total, logs) => report({ type: "progress", stage, done, total, logs });
+    const epochCallback = (stage, total) => ({
+        onEpochEnd: async (epoch, logs) => progress(stage)(epoch + 1, total, logs),
+    });
+
+    switch (job.type) {
+        case "generate":
+            return generateSyntheticPendulumDataset({ ...job.spec, onProgress: progress("generate") });
+        case "train": {
+            const config = { ...DEFAULT_MODEL_CONFIG, ...job.config };
+            const errors = validateModelConfig(config);
+            if (errors.length) throw new Error(errors.join(" "));
+            const { model, normalization: norm, info } =
+                await fitPendulumModel(job.rows, config, [epochCallback("train", config.epochs)]);
+            return { artifacts: await modelToArtifacts(model), normalization: norm, info };
+        }
+        case "trainTrajectory": {
+            const rows = generateTrajectoryDataset({ onProgress: progress("generate") });
+            const epochs = job.options?.epochs || 30;
+            const { model, normalization: norm } =
+                await fitTrajectoryModel(rows, job.options, [epochCallback("train", epochs)]);
+            return { artifacts: await modelToArtifacts(model), normalization: norm, samples: rows.length };
+        }
+        default:
+            throw new Error(`Unknown pendulum job "${job.type}".`);
+    }
+}
+
+/** Takes over a period model trained by runPendulumJob and saves it, as trainPendulumModel would */
+async function adoptPendulumModel({ artifacts, normalization: norm, info }) {
+    if (pendulumModel) pendulumModel.dispose();
+    pendulumModel = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+    normalization = norm;
+    trainingRanges = info.ranges;
+    await saveNormalizationIndexedDB(norm);
+    await saveModelIndexedDB(pendulumModel);
+    await saveModelInfo(info);
+    return info;
+}
+
+/** Takes over a trajectory model trained by runPendulumJob and saves it */
+async function adoptTrajectoryModel({ artifacts, normalization: norm }) {
+    if (trajectoryModel) trajectoryModel.dispose();
+    trajectoryModel = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+    trajectoryNormalization = norm;
+    trajectoryWeights = extractDenseWeights(trajectoryModel);
+    await saveTrajectoryModel(trajectoryModel, norm);
+}
+
+/** Copies each Dense layer's kernel, bias and activation into plain arrays */
+function extractDenseWeights(model) {
+    return model.layers.map(layer => {
+        const [kernel, bias] = layer.getWeights();
+        const [rows, cols] = kernel.shape;
+        const k = kernel.dataSync();
+        return {
+            kernel: Array.from({ length: rows }, (_, i) => Array.from(k.subarray(i * cols, (i + 1) * cols))),
+            bias: Array.from(bias.dataSync()),
+            activation: layer.getConfig().activation,
+        };
+    });
+}
+
+/** Forward pass in plain JS: hundreds of single-row predictions are much faster than through tf */
+function denseForward(layers, input) {
+    return layers.reduce((x, layer) => layer.bias.map((b, j) => {
+        const z = x.reduce((sum, xi, i) => sum + xi * layer.kernel[i][j], b);
+        return layer.activation === "tanh" ? Math.tanh(z) : z;
+    }), input);
+}
+
+/**
+ * Rolls the step model out from the initial angle and angular velocity and resamples θ(t) onto `times`.
+ * Returns states shaped like simulatePendulum's ({t, theta, omega, x, y}) so they can be animated.
+ */
+function predictPendulumTrajectory(params, times) {
+    if (!trajectoryWeights || !trajectoryNormalization) {
+        throw new Error("Trajectory model is not loaded or trained.");
+    }
+    const { mean, std } = trajectoryNormalization;
+    const endTime = times[times.length - 1];
+
+    const rollout = [{ t: 0, theta: deg2rad(params.initialAngle_deg), omega: params.initialOmega ?? 0 }];
+    while (rollout[rollout.length - 1].t < endTime) {
+        const prev = rollout[rollout.length - 1];
+        const input = TRAJECTORY_FEATURE_KEYS.map(k => ((prev[k] ?? params[k]) - mean[k]) / std[k]);
+        const [dTheta, dOmega] = denseForward(trajectoryWeights, input)
+            .map((v, i) => v * std[TRAJECTORY_TARGET_KEYS[i]] + mean[TRAJECTORY_TARGET_KEYS[i]]);
+        rollout.push({ t: prev.t + TRAJECTORY_DT, theta: prev.theta + dTheta, omega: prev.omega + dOmega });
+    }
+
+    const L = params.length_m;
+    return times.map(t => {
+        const i = Math.min(Math.floor(t / TRAJECTORY_DT), rollout.length - 2);
+        const a = rollout[i];
+        const b = rollout[i + 1];
+        const f = (t - a.t) / TRAJECTORY_DT;
+        const theta = a.theta + f * (b.theta - a.theta);
+        const omega = a.omega + f * (b.omega - a.omega);
+        return { t, theta, omega, x: L * Math.sin(theta), y: -L * Math.cos(theta) };
+    });
+}
+
+/** Standardized feature vector (FEATURE_KEYS order) for one input row */
+function normalizeFeatures(input) {
+    const features = periodFeatures(input);
+    return FEATURE_KEYS.map(key => (features[key] - normalization.mean[key]) / normalization.std[key]);
+}
+
+/** Scores the loaded model on rows it never trained on: MAE, RMSE, R² and per-row residuals */
+function evaluatePendulumModel(testRows) {
+    if (!pendulumModel || !normalization) {
+        throw new Error("ML Model is not loaded or trained.");
+    }
+
+    const x = tf.tensor2d(testRows.map(normalizeFeatures));
+    const pred = pendulumModel.predict(x);
+    const predicted = Array.from(pred.dataSync());
+    x.dispose();
+    pred.dispose();
+
+    const points = testRows.map((row, i) => ({
+        ...row,
+        actual: row[TARGET_KEY],
+        predicted: predicted[i],
+        residual: predicted[i] - row[TARGET_KEY],
+    }));
+
+    const n = points.length;
+    const meanActual = points.reduce((sum, p) => sum + p.actual, 0) / n;
+    const ssRes = points.reduce((sum, p) => sum + p.residual ** 2, 0);
+    const ssTot = points.reduce((sum, p) => sum + (p.actual - meanActual) ** 2, 0);
+
+    return {
+        n,
+        mae: points.reduce((sum, p) => sum + Math.abs(p.residual), 0) / n,
+        rmse: Math.sqrt(ssRes / n),
+        r2: 1 - ssRes / ssTot,
+        points,
+    };
+}
+
+/** Draws the evaluation report in the tfjs-vis visor: metrics, predicted vs actual, residuals per feature */
+function renderEvaluationVis(evaluation) {
+    const tab = "Held-out Evaluation";
+    tfvis.visor().open();
+
+    tfvis.render.table({ name: "Held-out Metrics", tab }, {
+        headers: ["Metric", "Value"],
+        values: [
+            ["Test rows", evaluation.n],
+            ["MAE (s)", evaluation.mae.toFixed(4)],
+            ["RMSE (s)", evaluation.rmse.toFixed(4)],
+            ["R²", evaluation.r2.toFixed(4)],
+        ],
+    });
+
+    const actual = evaluation.points.map(p => p.actual);
+    const lo = Math.min(...actual);
+    const hi = Math.max(...actual);
+    tfvis.render.scatterplot({ name: "Predicted vs Actual Period", tab }, {
+        values: [
+            evaluation.points.map(p => ({ x: p.actual, y: p.predicted })),
+            [{ x: lo, y: lo }, { x: hi, y: hi }],
+        ],
+        series: ["Test rows", "Perfect prediction"],
+    }, { xLabel: "Actual period (s)", yLabel: "Predicted period (s)" });
+
+    for (const key of FEATURE_KEYS) {
+        tfvis.render.scatterplot({ name: `Residual vs ${key}`, tab }, {
+            values: [evaluation.points.map(p => ({ x: p[key], y: p.residual }))],
+            series: ["Predicted - actual (s)"],
+        }, { xLabel: key, yLabel: "Residual (s)" });
+    }
+}
+
+/**
+ * Compares an input with the ranges the model was trained on (the sampling ranges if unknown).
+ * extrapolation is the furthest distance outside any range, as a fraction of that range's width.
+ */
+function checkTrainingRange(input) {
+    const ranges = trainingRanges ?? SAMPLING_RANGES;
+    const outside = [];
+    let extrapolation = 0;
+
+    const features = periodFeatures(input);
+    for (const key of FEATURE_KEYS) {
+        const { min, max } = ranges[key];
+        const value = features[key];
+        const width = max - min || 1;
+        const distance = value < min ? (min - value) / width : value > max ? (value - max) / width : 0;
+        if (distance > 0) outside.push({ key, value, min, max, distance });
+        extrapolation = Math.max(extrapolation, distance);
+    }
+    return { inRange: outside.length === 0, outside, extrapolation, ranges };
 }
 
 /** Predicts period using a trained model and normalization object. */
@@ -354,14 +1538,7 @@ function predictPendulumPeriod(input) {
     }
 
     // 1. Normalize the 6 input features
-    const normalizedInput = [
-        (input.length_m - normalization.mean.length_m) / normalization.std.length_m,
-        (input.initialAngle_deg - normalization.mean.initialAngle_deg) / normalization.std.initialAngle_deg,
-        (input.damping - normalization.mean.damping) / normalization.std.damping,
-        (input.airDensity - normalization.mean.airDensity) / normalization.std.airDensity,
-        (input.bobMass_kg - normalization.mean.bobMass_kg) / normalization.std.bobMass_kg,
-        (input.gravity - normalization.mean.gravity) / normalization.std.gravity,
-    ];
+    const normalizedInput = normalizeFeatures(input);
 
     // 2. Create tensor, predict
     const x = tf.tensor2d([normalizedInput]);
@@ -381,13 +1558,52 @@ function predictPendulumPeriod(input) {
 window.mlPendulum = {
     simulatePendulum, 
     estimatePeriodFromSeries, 
+    classifyDamping,
+    analyzeDecay,
+    resonanceSweep,
+    parameterSweep,
+    linearRegression,
+    powerLawFit,
+    parseMeasuredPendulumData,
+    fitPendulumToMeasurements,
+    measurementsToTrainingRows,
+    GRAVITY_PRESETS,
+    estimateGravity,
+    gravityFitBand,
+    compareIntegrators,
+    INTEGRATORS: Object.keys(INTEGRATORS),
     generateSyntheticPendulumDataset,
     trainPendulumModel,
     predictPendulumPeriod,
+    evaluatePendulumModel,
+    checkTrainingRange,
+    generateTrajectoryDataset,
+    trainTrajectoryModel,
+    loadTrajectoryModel,
+    predictPendulumTrajectory,
+    runPendulumJob,
+    adoptPendulumModel,
+    adoptTrajectoryModel,
+    trainingMetrics,
+    renderEvaluationVis,
+    TEST_SEED,
     theoreticalSmallAnglePeriod,
+    exactLargeAnglePeriod,
+    seriesCorrectedPeriod,
+    swingAmplitude_deg,
+    secondPivotOffset,
+    PENDULUM_TYPES,
     loadModelIndexedDB,
     loadNormalizationIndexedDB,
+    loadModelInfo,
+    deleteSavedModel,
+    FEATURE_KEYS,
+    DEFAULT_MODEL_CONFIG,
+    ACTIVATIONS,
+    OPTIMIZERS: Object.keys(OPTIMIZERS),
+    validateModelConfig,
     rad2deg,
     deg2rad,
-    get isModelLoaded() { return !!pendulumModel; }
+    get isModelLoaded() { return !!pendulumModel; },
+    get isTrajectoryModelLoaded() { return !!trajectoryWeights; }
 };
\ No newline at end of file
@@ -0,0 +1,18 @@
+// pendulum-worker.js
+// Runs dataset generation and tf.js training off the main thread (see runPendulumJob in ml-pendulum.js).
+// The page cancels a job by terminating this worker.
+
+importScripts('https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.10.0/dist/tf.min.js');
+
+// ml-pendulum.js registers itself on window.mlPendulum
+self.window = self;
+importScripts('/pendulum/ml-pendulum.js');
+
+self.onmessage = async (event) => {
+    try {
+        const result = await self.mlPendulum.runPendulumJob(event.data, (message) => self.postMessage(message));
+        self.postMessage({ type: 'done', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -3,49 +3,186 @@
  * Formula-Based vs Machine Learning Prediction
  */
 
+// Number of simulation frames kept in the bob trail
+const TRAIL_FRAMES = 300;
+
+// The chart cursor is redrawn every N p5 frames to keep the animation smooth
+const CURSOR_EVERY_N_FRAMES = 3;
+
+// Dragging the bob sets the release angle up to this far either side of straight down
+const MAX_DRAG_ANGLE_DEG = 179;
+
+// A flick's angular velocity is measured over the last this-many milliseconds of the drag
+const FLICK_WINDOW_MS = 100;
+
+// X-Y charts (phase portrait, bob path) are thinned to at most this many points
+const MAX_XY_POINTS = 2000;
+
+// Stats label for each fetchPrediction source
+const PREDICTION_SOURCE_LABELS = {
+    formula: 'Small-angle',
+    series: 'Series',
+    exact: 'Exact',
+    ml: 'ML'
+};
+
+// Display label for each ML input feature (window.mlPendulum.FEATURE_KEYS)
+const FEATURE_LABELS = {
+    length_m: 'L (m)',
+    initialAngle_deg: 'Amplitude θ₀ (°)',
+    damping: 'Damping c',
+    airDensity: 'Air density (kg/m³)',
+    bobMass_kg: 'Mass (kg)',
+    gravity: 'g (m/s²)'
+};
+
+// Extrapolation (distance outside the training range, in range widths) above which the ML prediction is flagged as unreliable
+const STRONG_EXTRAPOLATION = 0.25;
+
+// Display name and chart colour for each integrator in window.mlPendulum.INTEGRATORS
+const INTEGRATOR_INFO = {
+    rk4: { label: 'RK4', color: '#667eea' },
+    euler: { label: 'Explicit Euler', color: '#f44336' },
+    semiImplicitEuler: { label: 'Semi-implicit Euler', color: '#FF9800' },
+    verlet: { label: 'Velocity Verlet', color: '#4CAF50' },
+    rk45: { label: 'Adaptive RK45', color: '#9C27B0' }
+};
+
+// Display name for each regime returned by window.mlPendulum.classifyDamping
+const DAMPING_REGIME_LABELS = {
+    underdamped: 'Underdamped',
+    critical: 'Critically damped',
+    overdamped: 'Overdamped'
+};
+
+// Display name for each body in window.mlPendulum.GRAVITY_PRESETS
+const GRAVITY_PRESET_LABELS = {
+    earth: 'Earth',
+    moon: 'Moon',
+    mars: 'Mars',
+    jupiter: 'Jupiter'
+};
+
+// Swings wider than this make T noticeably longer than 2π√(L/g), so estimate-g pairs above it are flagged
+const SMALL_SWING_DEG = 15;
+
+// Runs kept in the run log; recording another drops the oldest one not renamed or pinned,
+// so at most MAX_LOGGED_RUNS - 1 runs can be renamed or pinned at once
+const MAX_LOGGED_RUNS = 30;
+
+// Colours for runs pinned on the angle chart; at most this many can be pinned at once
+const PIN_COLORS = ['#9C27B0', '#00BCD4', '#795548', '#E91E63', '#8BC34A', '#3F51B5'];
+
+// CSV column for each physicsData key of an exported run (the *2 keys only exist for two-bob systems)
+const RUN_SERIES_COLUMNS = {
+    t: 't_s',
+    theta: 'theta_rad',
+    omega: 'omega_rad_s',
+    alpha: 'alpha_rad_s2',
+    x: 'x_m',
+    y: 'y_m',
+    kinetic: 'kinetic_J',
+    potential: 'potential_J',
+    energy: 'energy_J',
+    theta2: 'theta2_rad',
+    omega2: 'omega2_rad_s',
+    alpha2: 'alpha2_rad_s2',
+    x2: 'x2_m',
+    y2: 'y2_m'
+};
+
 class PendulumExperiment {
     constructor() {
         // Prediction data
         this.mlModelData = null;
         this.physicsData = [];
+        this.mlTrajectory = null; // θ(t) rolled out by the trajectory model, on physicsData's time grid
+        this.dampingInfo = null; // classifyDamping() for the run on screen
 
         // Animation state
         this.currentFrame = 0;
         this.isAnimating = false;
         this.elapsedTime = 0;
         this.oscillationCount = 0;
-        this.lastAngle = 0;
-        this.crossedZero = false;
-        this.startTime = 0;
+        this.oscillationFrames = []; // frame at which each full swing completes
+
+        // Playback clock in simulated seconds: advanced by wall-clock time × playbackSpeed
+        this.playbackTime = 0;
+        this.playbackSpeed = 1;
+        this.lastFrameMillis = 0;
 
         // Visualization mode: 'formula' or 'ml'
         this.currentMode = 'formula';
 
+        // Period formula used in formula mode: 'small', 'series' or 'exact'
+        this.formulaType = 'small';
+
+        // System being simulated: 'simple', 'double' or 'coupled'
+        this.pendulumType = 'simple';
+
+        // Numerical integrator passed to simulatePendulum (a key of INTEGRATOR_INFO)
+        this.integrator = 'rk4';
+
         // ML Model State
         this.trainModelBtn = null;
         this.modelStatusEl = null;
         this.mlTrainingPanel = null;
         this.isModelTrained = false;
+        this.isTrajectoryModelTrained = false;
         this.teacherData = null;
+        this.testData = null;
+
+        // Background ML work (dataset generation, training) runs in pendulum-worker.js
+        this.mlWorker = null;
+        this.pendingJob = null;
+        this.isMLJobRunning = false;
 
         // P5.js Interaction State
         this.isBobDragging = false;
         this.isLengthChanging = false;
+        this.dragSamples = []; // {time, angle} while dragging, for flick-to-set ω₀
         this.maxL_vis = 0;
         this.originY = 0;
 
         // Charts
         this.chart = null;
+        this.chartView = 'angle';
+        this.chartCursorPoint = null;
+        this.resonanceChart = null;
+        this.paramSweepChart = null;
+        this.paramSweepLogChart = null;
+        this.integratorChart = null;
         this.sketch = null;
 
+        // Run log: every runSimulation result, newest first
+        this.runLog = [];
+        this.nextRunId = 1;
+        this.replayingRunId = null;
+        this.currentRun = null; // log entry shown in the sketch and chart
+
+        // Runs kept on the angle chart for comparison: [{ run, color }]
+        this.pinnedRuns = [];
+        this.chartTimes = []; // time of each point on the current time series chart
+
+        // Imported lab measurements (see parseMeasuredPendulumData) and the last fit to them
+        this.measuredData = null;
+        this.measuredFit = null;
+
+        // (L, T) pairs for the estimate-g fit: [{ source, length_m, period, amplitude_deg }]
+        this.gravityPairs = [];
+        this.gravityEstimate = null;
+        this.gravityChart = null;
+
         // Auto-run debounce
         this.debounceTimer = null;
         this.hasRunOnce = false;
 
         // The list of all input controls based on inputs.json
         this.inputIds = [
-            'length-m', 'initialAngle-deg', 'damping', 'airDensity',
-            'bobMass-kg', 'dragCoefficient', 'gravity', 'totalTime', 'timeStep'
+            'length-m', 'initialAngle-deg', 'initialOmega', 'damping', 'airDensity',
+            'bobMass-kg', 'dragCoefficient', 'gravity', 'totalTime', 'timeStep',
+            'length2-m', 'initialAngle2-deg', 'bobMass2-kg', 'springConstant',
+            'driveAmplitude', 'driveFrequency'
         ];
 
         this.init();
@@ -53,9 +190,20 @@ class PendulumExperiment {
 
     init() {
         this.setupControls();
+        this.setupDampingRange();
+        this.setupGravityPresets();
+        this.setupPendulumType();
+        this.setupIntegrator();
+        this.setupChartView();
         this.setupButtons();
+        this.setupPlayback();
+        this.setupParamSweep();
+        this.setupRunLog();
+        this.setupMeasuredData();
+        this.setupGravityEstimate();
         this.setupML();
         this.setupAccordion(); // Initializing accordion here
+        this.restoreUrlState();
         this.initP5Sketch();
         this.runSimulation(); // Initial run
     }
@@ -74,11 +222,13 @@ class PendulumExperiment {
             const key = id.replace(/-/g, '_');
             params[key] = this.getInputValue(id);
         });
+        params.pendulumType = this.pendulumType;
+        params.integrator = this.integrator;
         return params;
     }
 
-    updateStatus(message, type) {
-        const statusEl = document.getElementById('mlTrainStatus');
+    updateStatus(message, type, statusId = 'mlTrainStatus') {
+        const statusEl = document.getElementById(statusId);
         statusEl.textContent = message;
         statusEl.className = `status-message status-${type}`;
         statusEl.style.display = 'block';
@@ -93,22 +243,27 @@ class PendulumExperiment {
             if (input && valueSpan) {
                 input.addEventListener('input', () => {
                     let unit = '';
-                    if (id === 'length-m') unit = ' m';
-                    if (id === 'initialAngle-deg') unit = '°';
+                    if (id === 'length-m' || id === 'length2-m') unit = ' m';
+                    if (id === 'initialAngle-deg' || id === 'initialAngle2-deg') unit = '°';
+                    if (id === 'initialOmega') unit = ' rad/s';
                     if (id === 'airDensity') unit = ' kg/m³';
-                    if (id === 'bobMass-kg') unit = ' kg';
+                    if (id === 'bobMass-kg' || id === 'bobMass2-kg') unit = ' kg';
+                    if (id === 'springConstant') unit = ' N/m';
+                    if (id === 'driveAmplitude') unit = ' N·m';
+                    if (id === 'driveFrequency') unit = ' Hz';
                     if (id === 'gravity') unit = ' m/s²';
                     if (id === 'totalTime' || id === 'timeStep') unit = ' s';
 
                     // Round display values for cleaner look, but keep input value full precision if needed
                     let displayValue = input.value;
-                    if (id === 'timeStep' || id === 'damping') {
+                    if (id === 'timeStep' || id === 'damping' || id === 'driveAmplitude') {
                         displayValue = parseFloat(input.value).toFixed(3);
-                    } else if (id === 'length-m' || id === 'bobMass-kg' || id === 'airDensity' || id === 'gravity') {
+                    } else if (['length-m', 'length2-m', 'bobMass-kg', 'bobMass2-kg', 'airDensity', 'gravity', 'springConstant', 'driveFrequency', 'initialOmega'].includes(id)) {
                         displayValue = parseFloat(input.value).toFixed(2);
                     }
 
                     valueSpan.textContent = displayValue + unit;
+                    this.saveUrlState();
                     this.debounceRunSimulation();
                 });
 
@@ -118,6 +273,104 @@ class PendulumExperiment {
         });
     }
 
+    /** Keeps the damping slider's range wide enough to reach critical damping for the current L, m and g */
+    setupDampingRange() {
+        ['length-m', 'bobMass-kg', 'gravity', 'initialAngle-deg', 'initialOmega', 'damping', 'dragCoefficient', 'airDensity'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateDampingRange());
+        });
+
+        document.getElementById('setCriticalDampingBtn').addEventListener('click', () => {
+            const info = window.mlPendulum.classifyDamping(this.getSimParameters());
+            // Leave room for the drag's share so the total comes to ζ = 1
+            const slider = document.getElementById('damping');
+            slider.value = Math.max(0, info.criticalDamping - 2 * this.getInputValue('bobMass-kg') * info.dragGamma).toFixed(3);
+            slider.dispatchEvent(new Event('input'));
+        });
+        this.updateDampingRange();
+    }
+
+    updateDampingRange() {
+        const slider = document.getElementById('damping');
+        const info = window.mlPendulum.classifyDamping(this.getSimParameters());
+
+        // Up to 2.5× critical, and never narrower than the original 0–0.2
+        const max = Math.max(0.2, Math.ceil(info.criticalDamping * 2.5 * 10) / 10);
+        if (parseFloat(slider.max) !== max) {
+            const value = slider.value;
+            slider.max = max;
+            slider.value = value;
+            // A narrower range clamps the value, so refresh its label (and the auto-run)
+            if (slider.value !== value) slider.dispatchEvent(new Event('input'));
+        }
+        document.getElementById('dampingHint').textContent =
+            `Critical c ≈ ${info.criticalDamping.toFixed(3)} · ζ = ${info.zeta.toFixed(2)} (${DAMPING_REGIME_LABELS[info.regime].toLowerCase()})`;
+    }
+
+    /** Keeps the planet selector and the gravity slider in step: picking a body sets g, moving the slider shows which body (if any) it matches */
+    setupGravityPresets() {
+        const presets = window.mlPendulum.GRAVITY_PRESETS;
+        const select = document.getElementById('gravityPreset');
+        const slider = document.getElementById('gravity');
+
+        select.addEventListener('change', () => {
+            if (!select.value) return;
+            slider.value = presets[select.value];
+            slider.dispatchEvent(new Event('input'));
+        });
+        slider.addEventListener('input', () => {
+            const g = parseFloat(slider.value);
+            select.value = Object.keys(presets).find(name => Math.abs(presets[name] - g) < 0.005) || '';
+        });
+    }
+
+    /** Pendulum type selector: shows the second-bob controls for the double and coupled systems */
+    setupPendulumType() {
+        const typeSelect = document.getElementById('pendulumType');
+        typeSelect.addEventListener('change', () => {
+            this.pendulumType = typeSelect.value;
+            this.updateSecondBobControls();
+            this.saveUrlState();
+            this.debounceRunSimulation();
+        });
+        this.pendulumType = typeSelect.value;
+        this.updateSecondBobControls();
+    }
+
+    updateSecondBobControls() {
+        const twoBobs = this.pendulumType !== 'simple';
+        const header = document.getElementById('secondBobHeader');
+        const content = document.getElementById('secondBobContent');
+        header.style.display = twoBobs ? '' : 'none';
+        content.style.display = twoBobs ? '' : 'none';
+        if (twoBobs && !content.classList.contains('open')) {
+            content.classList.add('open');
+            header.classList.add('active');
+        }
+        document.getElementById('springConstantGroup').style.display = this.pendulumType === 'coupled' ? '' : 'none';
+    }
+
+    setupIntegrator() {
+        const integratorSelect = document.getElementById('integrator');
+        integratorSelect.addEventListener('change', () => {
+            this.integrator = integratorSelect.value;
+            this.saveUrlState();
+            this.debounceRunSimulation();
+        });
+        this.integrator = integratorSelect.value;
+    }
+
+    /** Chart switcher next to the p5 sketch: angle, phase portrait, energy, angular velocity or bob path */
+    setupChartView() {
+        const viewSelect = document.getElementById('chartView');
+        viewSelect.addEventListener('change', () => {
+            this.chartView = viewSelect.value;
+            if (this.physicsData.length > 0 && this.lastSimParams) {
+                this.initChart(this.lastSimParams.length_m);
+            }
+        });
+        this.chartView = viewSelect.value;
+    }
+
     setupAccordion() {
         const headers = document.querySelectorAll('.accordion-header');
         headers.forEach(header => {
@@ -143,21 +396,92 @@ class PendulumExperiment {
     pauseAnimation() {
         if (this.isAnimating) {
             this.isAnimating = false;
-            this.pausedTime = this.sketch.millis();
             this.sketch.noLoop();
         }
     }
 
     resumeAnimation() {
         if (!this.isAnimating && this.physicsData.length > 0) {
+            // Play again from the start once the end was reached
+            if (this.currentFrame >= this.physicsData.length - 1) this.seekFrame(0);
             this.isAnimating = true;
-            // Adjust startTime to account for pause duration
-            const pauseDuration = this.sketch.millis() - this.pausedTime;
-            this.startTime += pauseDuration;
+            this.lastFrameMillis = this.sketch.millis();
             this.sketch.loop();
         }
     }
 
+    setupPlayback() {
+        document.getElementById('playbackSpeed').addEventListener('change', (e) => {
+            this.playbackSpeed = parseFloat(e.target.value);
+        });
+        this.playbackSpeed = parseFloat(document.getElementById('playbackSpeed').value);
+
+        document.getElementById('stepBackBtn').addEventListener('click', () => this.stepFrames(-1));
+        document.getElementById('stepForwardBtn').addEventListener('click', () => this.stepFrames(1));
+        document.getElementById('timeScrubber').addEventListener('input', (e) => {
+            this.pauseForSeek();
+            this.seekFrame(parseInt(e.target.value, 10));
+        });
+    }
+
+    /** Pauses playback (and flips the Pause button) before the frame is moved by hand */
+    pauseForSeek() {
+        if (!this.isAnimating) return;
+        this.pauseAnimation();
+        const pauseBtn = document.getElementById('pauseBtn');
+        pauseBtn.textContent = 'Resume';
+        pauseBtn.classList.add('paused');
+    }
+
+    stepFrames(delta) {
+        if (this.physicsData.length === 0) return;
+        this.pauseForSeek();
+        this.seekFrame(this.currentFrame + delta);
+    }
+
+    /** Shows one simulation frame: the sketch, chart cursor, stats and scrubber all follow it */
+    seekFrame(frame) {
+        this.currentFrame = Math.max(0, Math.min(frame, this.physicsData.length - 1));
+        this.playbackTime = this.physicsData[this.currentFrame].t;
+        this.sketch.redraw();
+    }
+
+    /** Moves the playback clock on by the wall time since the last frame and picks the matching simulation frame */
+    advancePlayback(now) {
+        this.playbackTime += ((now - this.lastFrameMillis) / 1000) * this.playbackSpeed;
+        this.lastFrameMillis = now;
+
+        // The run's own time step, not the slider's, which may have changed since
+        const last = this.physicsData.length - 1;
+        this.currentFrame = Math.min(Math.floor(this.playbackTime / this.lastSimParams.timeStep + 1e-9), last);
+        if (this.currentFrame >= last) this.stopAnimation();
+    }
+
+    updateScrubber() {
+        const scrubber = document.getElementById('timeScrubber');
+        scrubber.max = Math.max(0, this.physicsData.length - 1);
+        scrubber.disabled = this.physicsData.length === 0;
+        scrubber.value = this.currentFrame;
+        const state = this.physicsData[this.currentFrame];
+        document.getElementById('timeScrubberLabel').textContent = `${state ? state.t.toFixed(2) : '0.00'} s`;
+    }
+
+    /** Frames where θ crosses zero going down after having come up through zero: one full swing each */
+    findOscillationFrames(data) {
+        const frames = [];
+        let crossedUp = false;
+        for (let i = 1; i < data.length; i++) {
+            const prev = data[i - 1].theta;
+            const cur = data[i].theta;
+            if (prev < 0 && cur >= 0) crossedUp = true;
+            if (crossedUp && prev > 0 && cur <= 0) {
+                frames.push(i);
+                crossedUp = false;
+            }
+        }
+        return frames;
+    }
+
 
     setupButtons() {
         document.getElementById('runSimulationBtn').addEventListener('click', (e) => this.runSimulation(e));
@@ -175,16 +499,32 @@ class PendulumExperiment {
             }
         });
 
+        document.getElementById('runSweepBtn').addEventListener('click', () => this.runResonanceSweep());
+        document.getElementById('runParamSweepBtn').addEventListener('click', () => this.runParameterSweep());
+        document.getElementById('runIntegratorCompareBtn').addEventListener('click', () => this.runIntegratorComparison());
+
         // NEW: Reset button
         const resetBtn = document.getElementById('resetBtn');
         resetBtn.addEventListener('click', () => {
             this.resetSimulation();
         });
 
+        const copyLinkBtn = document.getElementById('copyLinkBtn');
+        copyLinkBtn.addEventListener('click', () => UrlState.copyLink(copyLinkBtn));
+
         const formulaBtn = document.getElementById('formulaBtn');
         const mlBtn = document.getElementById('mlBtn');
+        const formulaTypeSelect = document.getElementById('formulaType');
+        const formulaTypeGroup = document.getElementById('formulaTypeGroup');
         this.mlTrainingPanel = document.getElementById('ml-training-panel');
 
+        formulaTypeSelect.addEventListener('change', () => {
+            this.formulaType = formulaTypeSelect.value;
+            this.saveUrlState();
+            this.debounceRunSimulation();
+        });
+        this.formulaType = formulaTypeSelect.value;
+
         // Initial state: ensure training panel is hidden
         this.mlTrainingPanel.style.display = 'none';
 
@@ -192,7 +532,9 @@ class PendulumExperiment {
             this.currentMode = 'formula';
             formulaBtn.classList.add('active');
             mlBtn.classList.remove('active');
+            formulaTypeGroup.style.display = '';
             this.mlTrainingPanel.style.display = 'none';
+            this.saveUrlState();
             this.debounceRunSimulation();
         });
 
@@ -200,15 +542,61 @@ class PendulumExperiment {
             this.currentMode = 'ml';
             mlBtn.classList.add('active');
             formulaBtn.classList.remove('active');
+            formulaTypeGroup.style.display = 'none';
             this.mlTrainingPanel.style.display = 'block';
             if (!this.isModelTrained) {
                 this.updateStatus('ML Model not trained yet! Click "Train New Model" first.', 'error');
             }
+            // The dataset is only needed for training, so it is generated the first time ML mode opens
+            if (!this.teacherData && !this.isMLJobRunning) {
+                this.loadModelAndData(this.getModelConfig().datasetSize).catch(error => {
+                    if (!error.cancelled) this.updateStatus(`Dataset Error: ${error.message}`, 'error');
+                });
+            }
+            this.saveUrlState();
             this.debounceRunSimulation();
         });
     }
 
 
+    /** Sets the inputs, pendulum type, integrator, formula and mode from the URL hash; values the controls can't take are ignored */
+    restoreUrlState() {
+        const state = UrlState.read();
+        const params = {};
+        this.inputIds.forEach(id => {
+            const key = id.replace(/-/g, '_');
+            const value = UrlState.number(state, key);
+            if (value !== null) params[key] = value; // range inputs clamp it to their own min and max
+        });
+        if (window.mlPendulum.PENDULUM_TYPES.includes(state.pendulumType)) params.pendulumType = state.pendulumType;
+        if (window.mlPendulum.INTEGRATORS.includes(state.integrator)) params.integrator = state.integrator;
+        this.applySimParameters(params);
+
+        const formulaTypeSelect = document.getElementById('formulaType');
+        if (Array.from(formulaTypeSelect.options).some(option => option.value === state.formulaType)) {
+            formulaTypeSelect.value = state.formulaType;
+            this.formulaType = state.formulaType;
+        }
+        if (state.mode === 'ml') document.getElementById('mlBtn').click();
+
+        UrlState.ready();
+        this.saveUrlState();
+    }
+
+    /** Mirrors every input, the pendulum type, integrator, mode and formula into the URL hash for sharing */
+    saveUrlState() {
+        const state = {
+            mode: this.currentMode,
+            formulaType: this.formulaType,
+            pendulumType: this.pendulumType,
+            integrator: this.integrator
+        };
+        this.inputIds.forEach(id => {
+            state[id.replace(/-/g, '_')] = document.getElementById(id).value;
+        });
+        UrlState.write(state);
+    }
+
     resetSimulation() {
         // Stop the animation
         // this.stopAnimation();
@@ -216,13 +604,16 @@ class PendulumExperiment {
         // Reset all input parameters to initial/default values
         document.getElementById('initialAngle-deg').value = 0;
         document.getElementById('initialAngle-degValue').textContent = '0°';
+        document.getElementById('initialOmega').value = 0;
+        document.getElementById('initialOmegaValue').textContent = '0.00 rad/s';
+        this.saveUrlState();
 
         // Clear physics data
         this.physicsData = [];
         this.currentFrame = 0;
         this.oscillationCount = 0;
-        this.lastAngle = 0;
-        this.crossedZero = false;
+        this.oscillationFrames = [];
+        this.playbackTime = 0;
         this.elapsedTime = 0;
 
         // Reset hasRunOnce so it doesn't auto-run on parameter changes
@@ -248,6 +639,8 @@ class PendulumExperiment {
             elapsedTime: '0 s'
         });
 
+        this.updateScrubber();
+
         // Redraw canvas to show pendulum at rest at 0°
         this.sketch.redraw();
     }
@@ -263,35 +656,366 @@ class PendulumExperiment {
             this.mlTrainingPanel.style.display = 'none';
         }
 
-        this.loadModelAndData();
+        this.setupModelBuilder();
+        this.loadSavedModel();
 
         this.trainModelBtn.addEventListener('click', () => {
             this.startTraining();
         });
+        document.getElementById('discardModelBtn').addEventListener('click', () => {
+            this.discardSavedModel();
+        });
+        document.getElementById('evaluateModelBtn').addEventListener('click', () => {
+            this.evaluateModel();
+        });
+        document.getElementById('trainTrajectoryBtn').addEventListener('click', () => {
+            this.startTrajectoryTraining();
+        });
+        document.getElementById('cancelMLJobBtn').addEventListener('click', () => {
+            this.cancelMLJob();
+        });
     }
 
-    // NOTE: loadModelAndData, startTraining, fetchPrediction assumed to be correct based on previous context
-    async loadModelAndData() {
-        if (window.mlPendulum && window.mlPendulum.generateSyntheticPendulumDataset) {
-            this.updateStatus('Generating training dataset (800 samples)...', 'info');
-
-            // Show progress
-            const startTime = Date.now();
-            this.teacherData = window.mlPendulum.generateSyntheticPendulumDataset({
-                n: 800,
-                simDuration_s: 20
-            });
-            const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    /**
+     * Runs a runPendulumJob job in the ML worker (in the page if workers are unavailable).
+     * onProgress receives { stage, done, total, logs } messages.
+     */
+    runMLJob(job, onProgress) {
+        this.setMLJobRunning(true);
+        const finish = () => {
+            this.pendingJob = null;
+            this.setMLJobRunning(false);
+        };
 
-            this.modelStatusEl.textContent = `✅ Dataset Ready (${this.teacherData.length} samples, ${duration}s)`;
-            this.updateStatus(`Dataset generated successfully in ${duration} seconds!`, 'success');
+        if (!window.Worker) {
+            return window.mlPendulum.runPendulumJob(job, onProgress).finally(finish);
+        }
+
+        return new Promise((resolve, reject) => {
+            if (!this.mlWorker) this.mlWorker = new Worker('/pendulum/pendulum-worker.js');
+            this.pendingJob = { reject };
+
+            this.mlWorker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    onProgress(message);
+                } else if (message.type === 'done') {
+                    finish();
+                    resolve(message.result);
+                } else if (message.type === 'error') {
+                    finish();
+                    reject(new Error(message.message));
+                }
+            };
+            this.mlWorker.onerror = (event) => {
+                event.preventDefault();
+                this.mlWorker.terminate();
+                this.mlWorker = null;
+                finish();
+                reject(new Error(event.message || 'The ML worker failed to start.'));
+            };
+            this.mlWorker.postMessage(job);
+        });
+    }
+
+    /** Stops the running job by terminating the worker; a fresh worker starts with the next job */
+    cancelMLJob() {
+        if (!this.pendingJob) return;
+        this.mlWorker.terminate();
+        this.mlWorker = null;
+
+        const { reject } = this.pendingJob;
+        this.pendingJob = null;
+        this.setMLJobRunning(false);
+        const error = new Error('Cancelled');
+        error.cancelled = true;
+        reject(error);
+    }
+
+    /** Shows the progress bar and cancel button while a job runs, and blocks starting another */
+    setMLJobRunning(running) {
+        this.isMLJobRunning = running;
+        document.getElementById('mlJobProgress').style.display = running ? 'block' : 'none';
+        document.getElementById('cancelMLJobBtn').style.display = running && window.Worker ? '' : 'none';
+        document.getElementById('trainTrajectoryBtn').disabled = running;
+        document.getElementById('evaluateModelBtn').disabled = running;
+        if (running) {
+            this.trainModelBtn.disabled = true;
+            this.setJobProgress(0, 1);
+        } else {
+            this.showModelConfigErrors(); // Re-enables training unless the settings are invalid
+        }
+    }
+
+    setJobProgress(done, total) {
+        document.getElementById('mlProgressBar').value = total ? done / total : 0;
+    }
+
+    /** Model-builder panel: fills the selects and keeps one units input per hidden layer */
+    setupModelBuilder() {
+        const { ACTIVATIONS, OPTIMIZERS } = window.mlPendulum;
+        document.getElementById('mbActivation').innerHTML =
+            ACTIVATIONS.map(a => `<option value="${a}">${a}</option>`).join('');
+        document.getElementById('mbOptimizer').innerHTML =
+            OPTIMIZERS.map(o => `<option value="${o}">${o}</option>`).join('');
+
+        document.getElementById('mbLayerCount').addEventListener('change', () => this.renderLayerUnitInputs());
+        document.querySelectorAll('.model-builder input, .model-builder select').forEach(el => {
+            el.addEventListener('change', () => this.showModelConfigErrors());
+        });
+        document.getElementById('mbResetBtn').addEventListener('click', () => {
+            this.applyModelConfig(window.mlPendulum.DEFAULT_MODEL_CONFIG);
+        });
+
+        this.applyModelConfig(window.mlPendulum.DEFAULT_MODEL_CONFIG);
+    }
+
+    /** Adds or removes units inputs to match the layer count, keeping values already typed */
+    renderLayerUnitInputs(units = null) {
+        const container = document.getElementById('mbLayerUnits');
+        const current = units || Array.from(container.querySelectorAll('input')).map(el => parseInt(el.value, 10));
+        const count = parseInt(document.getElementById('mbLayerCount').value, 10);
+        if (!(count >= 1 && count <= 6)) {
+            this.showModelConfigErrors();
+            return;
+        }
+
+        container.innerHTML = '';
+        for (let i = 0; i < count; i++) {
+            const label = document.createElement('label');
+            label.textContent = `Layer ${i + 1} units `;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '1';
+            input.max = '256';
+            input.step = '1';
+            input.value = current[i] ?? current[current.length - 1] ?? 8;
+            input.addEventListener('change', () => this.showModelConfigErrors());
+            label.appendChild(input);
+            container.appendChild(label);
+        }
+        this.showModelConfigErrors();
+    }
+
+    /** Reads the model-builder panel into a config for trainPendulumModel */
+    getModelConfig() {
+        const value = id => parseFloat(document.getElementById(id).value);
+        return {
+            hiddenUnits: Array.from(document.querySelectorAll('#mbLayerUnits input')).map(el => Number(el.value)),
+            activation: document.getElementById('mbActivation').value,
+            optimizer: document.getElementById('mbOptimizer').value,
+            learningRate: value('mbLearningRate'),
+            batchSize: value('mbBatchSize'),
+            epochs: value('mbEpochs'),
+            datasetSize: value('mbDatasetSize'),
+            validationSplit: value('mbValidationSplit')
+        };
+    }
+
+    applyModelConfig(config) {
+        document.getElementById('mbLayerCount').value = config.hiddenUnits.length;
+        document.getElementById('mbActivation').value = config.activation;
+        document.getElementById('mbOptimizer').value = config.optimizer;
+        document.getElementById('mbLearningRate').value = config.learningRate;
+        document.getElementById('mbBatchSize').value = config.batchSize;
+        document.getElementById('mbEpochs').value = config.epochs;
+        document.getElementById('mbDatasetSize').value = config.datasetSize;
+        document.getElementById('mbValidationSplit').value = config.validationSplit;
+        this.renderLayerUnitInputs(config.hiddenUnits);
+    }
+
+    /** Lists invalid settings under the builder and blocks training until they are fixed */
+    showModelConfigErrors() {
+        const errors = window.mlPendulum.validateModelConfig(this.getModelConfig());
+        const errorsEl = document.getElementById('mbErrors');
+        errorsEl.textContent = errors.join(' ');
+        errorsEl.style.display = errors.length ? 'block' : 'none';
+        this.trainModelBtn.disabled = errors.length > 0 || this.isMLJobRunning;
+    }
+
+    /** Restores the model and normalization saved by the last training run */
+    async loadSavedModel() {
+        if (!window.mlPendulum || !window.tf) return;
+
+        const model = await window.mlPendulum.loadModelIndexedDB();
+        const norm = await window.mlPendulum.loadNormalizationIndexedDB();
+        this.isTrajectoryModelTrained = !!(await window.mlPendulum.loadTrajectoryModel());
+        this.updateTrajectoryStatus();
+
+        if (model && norm) {
+            this.isModelTrained = true;
+            this.modelStatusEl.textContent = '✅ Saved model loaded';
+            this.trainModelBtn.textContent = '🔄 Retrain Model';
+            const info = window.mlPendulum.loadModelInfo();
+            this.showSavedModelInfo(info);
+            if (this.lastSimParams) this.updateRangeWarnings(this.lastSimParams);
+            if (info && info.config) this.applyModelConfig(info.config);
+            if (this.currentMode === 'ml') this.debounceRunSimulation();
         } else {
+            this.showSavedModelInfo(null);
+        }
+    }
+
+    /** Shows when the saved model was trained and the feature ranges it saw */
+    showSavedModelInfo(info) {
+        const infoEl = document.getElementById('savedModelInfo');
+        const discardBtn = document.getElementById('discardModelBtn');
+        const evaluateBtn = document.getElementById('evaluateModelBtn');
+
+        discardBtn.style.display = this.isModelTrained || this.isTrajectoryModelTrained ? '' : 'none';
+        if (!this.isModelTrained) {
+            infoEl.style.display = 'none';
+            evaluateBtn.style.display = 'none';
+            document.getElementById('evalReport').style.display = 'none';
+            return;
+        }
+
+        infoEl.style.display = 'block';
+        evaluateBtn.style.display = '';
+        if (!info) {
+            infoEl.textContent = 'Saved model (no training details were recorded).';
+            return;
+        }
+
+        const ranges = window.mlPendulum.FEATURE_KEYS
+            .map(key => `${FEATURE_LABELS[key]}: ${info.ranges[key].min.toFixed(2)}–${info.ranges[key].max.toFixed(2)}`)
+            .join(' · ');
+        const network = info.config
+            ? `<strong>Network:</strong> ${[window.mlPendulum.FEATURE_KEYS.length, ...info.config.hiddenUnits, 1].join(' → ')} (${info.config.activation}), ` +
+              `${info.config.optimizer} @ ${info.config.learningRate}<br>`
+            : '';
+        infoEl.innerHTML =
+            `<strong>Saved:</strong> ${new Date(info.savedAt).toLocaleString()}<br>` +
+            `<strong>Trained on:</strong> ${info.samples} samples, ${info.epochs} epochs<br>` +
+            network +
+            `<strong>Ranges:</strong> ${ranges}`;
+    }
+
+    /** Scores the model on a fresh dataset generated with a different seed and shows the report */
+    async evaluateModel() {
+        const n = Math.max(200, Math.round(this.getModelConfig().datasetSize / 4));
+        try {
+            if (!this.testData || this.testData.length !== n) {
+                this.updateStatus(`Generating ${n} held-out test rows (different seed from training)...`, 'info');
+                this.testData = await this.runMLJob({
+                    type: 'generate',
+                    spec: { n, simDuration_s: 20, seed: window.mlPendulum.TEST_SEED }
+                }, ({ done, total }) => this.setJobProgress(done, total));
+            }
+
+            const evaluation = window.mlPendulum.evaluatePendulumModel(this.testData);
+            if (window.tfvis) window.mlPendulum.renderEvaluationVis(evaluation);
+
+            const reportEl = document.getElementById('evalReport');
+            reportEl.style.display = 'block';
+            reportEl.innerHTML =
+                `<strong>Held-out test set (${evaluation.n} rows):</strong><br>` +
+                `MAE ${evaluation.mae.toFixed(4)} s · RMSE ${evaluation.rmse.toFixed(4)} s · R² ${evaluation.r2.toFixed(4)}<br>` +
+                'Plots of predicted vs actual and residuals per input are in the Visor\'s "Held-out Evaluation" tab.';
+            this.updateStatus('Evaluation complete.', 'success');
+            return evaluation;
+        } catch (error) {
+            this.updateStatus(error.cancelled ? 'Evaluation cancelled.' : `Evaluation Error: ${error.message}`, error.cancelled ? 'info' : 'error');
+            if (!error.cancelled) console.error('Evaluation Error:', error);
+            return null;
+        }
+    }
+
+    updateTrajectoryStatus() {
+        document.getElementById('trajectoryStatus').textContent = this.isTrajectoryModelTrained
+            ? '✅ Trajectory model ready: ML mode animates its θ(t)'
+            : 'Trajectory model: Not trained';
+    }
+
+    /** Trains the step model whose rolled-out θ(t) drives the animation in ML mode */
+    async startTrajectoryTraining() {
+        const btn = document.getElementById('trainTrajectoryBtn');
+        const epochs = 30;
+        btn.disabled = true;
+
+        try {
+            btn.textContent = '📊 Generating Data...';
+            this.updateStatus('Generating RK4 state pairs for the trajectory model...', 'info');
+            const history = [];
+
+            const result = await this.runMLJob({ type: 'trainTrajectory', options: { epochs } }, ({ stage, done, total, logs }) => {
+                this.setJobProgress(done, total);
+                if (stage !== 'train') return;
+                btn.textContent = '🔄 Training...';
+                history.push(logs);
+                this.updateStatus(`Trajectory model: Epoch ${done}/${total} | Loss: ${logs.loss.toFixed(5)}`, 'info');
+                if (window.tfvis) {
+                    tfvis.show.history({ name: 'Trajectory Model (Δθ, Δω per step)' }, history, ['loss', 'val_loss']);
+                }
+            });
+            await window.mlPendulum.adoptTrajectoryModel(result);
+
+            this.isTrajectoryModelTrained = true;
+            this.updateTrajectoryStatus();
+            this.showSavedModelInfo(window.mlPendulum.loadModelInfo());
+            this.updateStatus('Trajectory model trained. In ML mode the bob now follows its prediction.', 'success');
+            if (this.currentMode === 'ml') this.debounceRunSimulation();
+        } catch (error) {
+            if (error.cancelled) {
+                this.updateStatus('Trajectory training cancelled.', 'info');
+            } else {
+                this.updateStatus(`Trajectory Training Error: ${error.message}`, 'error');
+                console.error('Trajectory Training Error:', error);
+            }
+        } finally {
+            btn.disabled = false;
+            btn.textContent = '📈 Train Trajectory Model';
+        }
+    }
+
+    async discardSavedModel() {
+        if (!window.confirm('Discard the saved model? You will need to train a new one to use ML mode.')) return;
+
+        await window.mlPendulum.deleteSavedModel();
+        this.isModelTrained = false;
+        this.isTrajectoryModelTrained = false;
+        this.updateTrajectoryStatus();
+        this.modelStatusEl.textContent = 'Model: Not Loaded';
+        this.trainModelBtn.textContent = '🚀 Train New Model';
+        this.showSavedModelInfo(null);
+        if (this.lastSimParams) this.updateRangeWarnings(this.lastSimParams);
+        this.updateStatus('Saved model discarded.', 'info');
+        if (this.currentMode === 'ml') this.debounceRunSimulation();
+    }
+
+    // NOTE: loadModelAndData, startTraining, fetchPrediction assumed to be correct based on previous context
+    /** Generates the training dataset in the worker. Throws if the job fails or is cancelled. */
+    async loadModelAndData(n = 800) {
+        if (!window.mlPendulum || !window.mlPendulum.runPendulumJob) {
             this.modelStatusEl.textContent = '❌ ML Module not loaded';
-            this.updateStatus('Error: ML module not available', 'error');
+            throw new Error('ML module not available');
+        }
+
+        this.updateStatus(`Generating training dataset (${n} samples)...`, 'info');
+        const startTime = Date.now();
+        this.teacherData = await this.runMLJob(
+            { type: 'generate', spec: { n, simDuration_s: 20 } },
+            ({ done, total }) => {
+                this.setJobProgress(done, total);
+                this.updateStatus(`Generating training dataset: ${done}/${total} samples...`, 'info');
+            }
+        );
+        const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+
+        if (!this.isModelTrained) {
+            this.modelStatusEl.textContent = `✅ Dataset Ready (${this.teacherData.length} samples, ${duration}s)`;
         }
+        this.updateStatus(`Dataset generated successfully in ${duration} seconds!`, 'success');
     }
 
     async startTraining() {
+        const config = this.getModelConfig();
+        const errors = window.mlPendulum.validateModelConfig(config);
+        if (errors.length) {
+            this.updateStatus(`Fix the model settings first: ${errors.join(' ')}`, 'error');
+            return;
+        }
+
         this.trainModelBtn.disabled = true;
         this.trainModelBtn.textContent = '⏳ Preparing...';
         this.trainModelBtn.style.opacity = '0.7';
@@ -300,12 +1024,10 @@ class PendulumExperiment {
         this.updateStatus('Initializing training process...', 'info');
 
         try {
-            // Step 1: Load/Generate data
-            if (!this.teacherData) {
+            // Step 1: Load/Generate data (again if the dataset size changed)
+            if (!this.teacherData || this.teacherData.length !== config.datasetSize) {
                 this.trainModelBtn.textContent = '📊 Generating Data...';
-                this.updateStatus('Generating 800 synthetic training examples...', 'info');
-                await new Promise(resolve => setTimeout(resolve, 100)); // Allow UI to update
-                await this.loadModelAndData();
+                await this.loadModelAndData(config.datasetSize);
             }
 
             // Step 2: Show visor
@@ -317,30 +1039,48 @@ class PendulumExperiment {
                 tfvis.visor().open();
             }
 
-            // Step 3: Start training
+            // Step 3: Start training in the worker, charting each epoch it reports
             this.trainModelBtn.textContent = '🔄 Training...';
-            this.updateStatus('Training in progress. Watch the charts for real-time metrics!', 'info');
-
-            // Training with progress feedback
-            await window.mlPendulum.trainPendulumModel(this.teacherData, {
-                epochs: 100,
-                callbacks: {
-                    onEpochEnd: async (epoch, logs) => {
-                        if (epoch % 10 === 0) {
-                            this.updateStatus(
-                                `Training: Epoch ${epoch}/100 | Loss: ${logs.loss.toFixed(4)}`,
-                                'info'
-                            );
-                        }
+            const rows = [...this.teacherData, ...this.getMeasuredTrainingRows()];
+            const measuredCount = rows.length - this.teacherData.length;
+            this.updateStatus(
+                `Training in progress${measuredCount ? ` (${measuredCount} measured rows included)` : ''}. Watch the charts for real-time metrics!`,
+                'info'
+            );
+
+            const history = [];
+            const metrics = window.mlPendulum.trainingMetrics(config);
+            const trained = await this.runMLJob(
+                { type: 'train', rows, config },
+                ({ done, total, logs }) => {
+                    this.setJobProgress(done, total);
+                    history.push(logs);
+                    if (window.tfvis) {
+                        tfvis.show.history({ name: 'Training Performance (Loss/MSE/MAE)' }, history, metrics);
+                    }
+                    if (done % 10 === 0 || done === total) {
+                        this.updateStatus(`Training: Epoch ${done}/${total} | Loss: ${logs.loss.toFixed(4)}`, 'info');
                     }
                 }
-            });
+            );
+            const result = { info: await window.mlPendulum.adoptPendulumModel(trained) };
 
-            // Step 4: Success
+            // Step 4: Score on the held-out set
             this.isModelTrained = true;
-            this.trainModelBtn.textContent = '✅ Training Complete!';
             this.modelStatusEl.textContent = 'Model: Successfully Trained and Saved!';
-            this.updateStatus('Training complete! Model ready for predictions.', 'success');
+            this.showSavedModelInfo(result.info);
+            if (this.lastSimParams) this.updateRangeWarnings(this.lastSimParams);
+            this.trainModelBtn.textContent = '📏 Evaluating...';
+            const evaluation = await this.evaluateModel();
+
+            // Step 5: Success
+            this.trainModelBtn.textContent = '✅ Training Complete!';
+            if (evaluation) {
+                this.updateStatus(
+                    `Training complete! Held-out R² = ${evaluation.r2.toFixed(3)}. Model ready for predictions.`,
+                    'success'
+                );
+            }
 
             // Reset button text after 3 seconds
             setTimeout(() => {
@@ -349,19 +1089,27 @@ class PendulumExperiment {
             }, 3000);
 
         } catch (error) {
-            this.modelStatusEl.textContent = '❌ Training Failed!';
-            this.trainModelBtn.textContent = '🔄 Train New Model';
+            this.trainModelBtn.textContent = this.isModelTrained ? '🔄 Retrain Model' : '🔄 Train New Model';
             this.trainModelBtn.style.opacity = '1';
+            if (error.cancelled) {
+                this.updateStatus('Training cancelled.', 'info');
+                return;
+            }
+            this.modelStatusEl.textContent = '❌ Training Failed!';
             this.updateStatus(`Training Error: ${error.message}`, 'error');
             console.error('ML Training Error:', error);
             if (window.tfvis) window.tfvis.visor().close();
         } finally {
-            this.trainModelBtn.disabled = false;
+            // Leaves Train disabled while the model settings are invalid
+            this.showModelConfigErrors();
         }
     }
 
     async fetchPrediction(inputs) {
-        if (this.currentMode === 'ml') {
+        if (this.currentMode === 'ml' && inputs.pendulumType !== 'simple') {
+            // The model only ever saw single pendulums, so fall back to the formula for the first bob
+            this.updateStatus('ML model is trained on simple pendulums only. Showing the small-angle formula for bob 1.', 'error');
+        } else if (this.currentMode === 'ml') {
             if (!this.isModelTrained) {
                 this.updateStats({ predictionPeriod: 'N/A (Untrained ML)' });
                 this.updateStatus('Cannot predict: ML Model is not trained.', 'error');
@@ -378,9 +1126,18 @@ class PendulumExperiment {
             }
         }
 
-        // This helper function must be exposed by the ml-pendulum.js module
-        const theoreticalPeriod = window.mlPendulum.theoreticalSmallAnglePeriod(inputs.length_m, inputs.gravity);
-        return { period: theoreticalPeriod, source: 'formula' };
+        // These helper functions must be exposed by the ml-pendulum.js module.
+        // The large-angle formulas need the swing amplitude, which a flick makes larger than θ₀
+        const { length_m, gravity } = inputs;
+        const amplitude_deg = window.mlPendulum.swingAmplitude_deg(inputs);
+        switch (this.formulaType) {
+            case 'exact':
+                return { period: window.mlPendulum.exactLargeAnglePeriod(length_m, amplitude_deg, gravity), source: 'exact' };
+            case 'series':
+                return { period: window.mlPendulum.seriesCorrectedPeriod(length_m, amplitude_deg, gravity), source: 'series' };
+            default:
+                return { period: window.mlPendulum.theoreticalSmallAnglePeriod(length_m, gravity), source: 'formula' };
+        }
     }
 
     debounceRunSimulation() {
@@ -409,25 +1166,63 @@ class PendulumExperiment {
             return;
         }
 
-        const predictedPeriod = prediction.period;
-
         // 2. Run the full physics simulation (for visualization and comparison)
-        this.physicsData = window.mlPendulum.simulatePendulum(simParams);
+        let physicsData;
+        try {
+            physicsData = window.mlPendulum.simulatePendulum(simParams);
+        } catch (error) {
+            this.updateStatus(`Simulation Error: ${error.message}`, 'error');
+            return;
+        }
+        if (physicsData.blowUpTime !== undefined) {
+            this.updateStatus(
+                `The ${INTEGRATOR_INFO[simParams.integrator].label} integrator blew up at t = ${physicsData.blowUpTime.toFixed(2)} s. ` +
+                'Lower the time step or pick a more stable integrator.',
+                'error'
+            );
+            return;
+        }
+        this.physicsData = physicsData;
+
+        // 2b. In ML mode the bob follows the trajectory model's θ(t), when one is trained
+        this.mlTrajectory = null;
+        if (this.currentMode === 'ml' && simParams.pendulumType === 'simple' && this.isTrajectoryModelTrained) {
+            this.mlTrajectory = window.mlPendulum.predictPendulumTrajectory(simParams, this.physicsData.map(s => s.t));
+        }
 
         // 3. Estimate period from the simulation (objective comparison)
         const simEst = window.mlPendulum.estimatePeriodFromSeries(this.physicsData, 3);
 
-        // 4. Update UI
-        const predictionSource = prediction.source === 'ml' ? 'ML' : 'Formula';
-        const simPeriodText = simEst.meanPeriod ? simEst.meanPeriod.toFixed(3) + ' s' : 'N/A';
+        // 4. Update UI and keep the run
+        this.presentRun(simParams, prediction, simEst.meanPeriod);
+        this.recordRun(simParams, prediction, simEst.meanPeriod);
+    }
+
+    /** Shows a finished run (fresh or replayed from the run log): stats, period table, chart and animation */
+    presentRun(simParams, prediction, simPeriod) {
+        const predictionSource = PREDICTION_SOURCE_LABELS[prediction.source];
+        this.dampingInfo = window.mlPendulum.classifyDamping(simParams);
+        const decay = window.mlPendulum.analyzeDecay(this.physicsData);
+        this.updateDampingStats(this.dampingInfo, decay);
+
+        // estimatePeriodFromSeries needs 3 peaks; say why there were not enough
+        let simPeriodText = simPeriod ? simPeriod.toFixed(3) + ' s' : 'N/A';
+        if (!simPeriod) {
+            simPeriodText += this.dampingInfo.regime === 'underdamped'
+                ? ', fewer than 3 swings in the Total Time'
+                : `, ${DAMPING_REGIME_LABELS[this.dampingInfo.regime].toLowerCase()}: it returns without swinging`;
+        }
 
         this.updateStats({
-            predictionPeriod: `${predictionSource}: ${predictedPeriod.toFixed(3)} s (Sim Est: ${simPeriodText})`,
+            predictionPeriod: `${predictionSource}: ${prediction.period.toFixed(3)} s (Sim Est: ${simPeriodText})`,
             currentAngle: `${simParams.initialAngle_deg}°`,
             oscillationCount: 0,
             elapsedTime: 0,
         });
+        this.updatePeriodComparison(simParams, simPeriod, prediction.source);
+        this.updateRangeWarnings(simParams);
 
+        this.lastSimParams = simParams;
         this.initChart(simParams.length_m);
         this.startAnimation();
         this.hasRunOnce = true;
@@ -438,80 +1233,1239 @@ class PendulumExperiment {
         pauseBtn.classList.remove('paused');
     }
 
-    initChart(inputLengthMeters) {
-
-        const rad2deg = window.mlPendulum.rad2deg;
-        const timeSeriesAngles = this.physicsData.map(s => rad2deg(s.theta));
-
-        // Chart totalTime seconds
-        const chartDataLength = Math.min(this.physicsData.length, Math.floor(this.getInputValue('totalTime') / this.getInputValue('timeStep')));
-        const chartData = timeSeriesAngles.slice(0, chartDataLength);
+    setupRunLog() {
+        document.getElementById('exportRunsCsvBtn').addEventListener('click', () => this.exportRuns(this.runLog, 'csv'));
+        document.getElementById('exportRunsJsonBtn').addEventListener('click', () => this.exportRuns(this.runLog, 'json'));
+        document.getElementById('clearRunLogBtn').addEventListener('click', () => {
+            if (!confirm('Clear all recorded runs?')) return;
+            this.runLog = [];
+            this.renderRunLog();
+        });
 
-        if (this.chart) this.chart.destroy();
+        // Row buttons and name inputs are re-rendered often, so listen on the table body
+        const body = document.getElementById('runLogBody');
+        body.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const run = this.runLog.find(r => r.id === Number(button.dataset.runId));
+            if (!run) return;
+
+            switch (button.dataset.action) {
+                case 'replay':
+                    this.replayRun(run);
+                    break;
+                case 'pin':
+                    this.pinRun(run);
+                    break;
+                case 'csv':
+                case 'json':
+                    this.exportRuns([run], button.dataset.action);
+                    break;
+                case 'delete':
+                    this.runLog = this.runLog.filter(r => r !== run);
+                    this.renderRunLog();
+                    break;
+            }
+        });
+        body.addEventListener('change', (e) => {
+            const run = this.runLog.find(r => r.id === Number(e.target.dataset.runId));
+            if (!run) return;
+            const name = e.target.value.trim();
+            if (name && name !== run.name && !this.canKeepAnotherRun(run)) {
+                alert(`At most ${MAX_LOGGED_RUNS - 1} runs can be renamed or pinned. Delete one first.`);
+            } else if (name && name !== run.name) {
+                run.name = name;
+                run.renamed = true;
+            }
+            e.target.value = run.name;
+            if (this.pinnedRuns.some(pin => pin.run === run)) this.refreshPinnedRuns();
+        });
 
-        this.chart = ChartUtils.createTimeSeriesChart('angleChart', chartData, {
-            totalTime: this.getInputValue('totalTime'),
-            label: 'Angle (Deg)',
-            xLabel: 'Time (s)',
-            yLabel: 'Angle (Degrees)',
-            title: `Pendulum Angle vs Time (L=${inputLengthMeters}m)`,
-            color: this.currentMode === 'ml' ? '#667eea' : '#4CAF50'
+        document.getElementById('pinRunBtn').addEventListener('click', () => this.pinRun(this.currentRun));
+        document.getElementById('pinnedRuns').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-run-id]');
+            if (button) this.unpinRun(Number(button.dataset.runId));
         });
     }
 
-    updateStats(stats) {
-        if (stats.predictionPeriod !== undefined) document.getElementById('predictionPeriod').textContent = stats.predictionPeriod;
-        if (stats.currentAngle !== undefined) document.getElementById('currentAngle').textContent = stats.currentAngle;
-        if (stats.oscillationCount !== undefined) document.getElementById('oscillations').textContent = stats.oscillationCount;
-        if (stats.elapsedTime !== undefined) document.getElementById('elapsedTime').textContent = stats.elapsedTime;
+    /** Adds a finished run to the top of the run log; when full, drops the oldest run that is neither renamed nor pinned */
+    recordRun(params, prediction, simPeriod) {
+        const id = this.nextRunId++;
+        this.runLog.unshift({
+            id,
+            name: `Run ${id}`,
+            createdAt: new Date().toISOString(),
+            params,
+            prediction: { period: prediction.period, source: prediction.source },
+            simPeriod: Number.isFinite(simPeriod) ? simPeriod : null,
+            physicsData: this.physicsData,
+            mlTrajectory: this.mlTrajectory
+        });
+        // The new run (index 0) always stays
+        for (let i = this.runLog.length - 1; i >= 1 && this.runLog.length > MAX_LOGGED_RUNS; i--) {
+            if (!this.isKeptRun(this.runLog[i])) this.runLog.splice(i, 1);
+        }
+        this.currentRun = this.runLog[0];
+        this.replayingRunId = null;
+        this.renderRunLog();
+        document.getElementById('pinRunBtn').disabled = false;
+        document.getElementById('gravityAddRunBtn').disabled = false;
     }
 
-    startAnimation() {
-        this.isAnimating = true;
-        this.currentFrame = 0;
-        this.oscillationCount = 0;
-        this.lastAngle = 0;
-        this.crossedZero = false;
-        this.startTime = this.sketch.millis();
-        this.sketch.loop();
+    /** Renamed and pinned runs are never dropped from the run log */
+    isKeptRun(run) {
+        return run.renamed || this.pinnedRuns.some(pin => pin.run === run);
     }
 
-    stopAnimation() {
-        this.isAnimating = false;
-        this.sketch.noLoop();
+    /** Whether run can become kept and still leave the log a run to drop when the next one is recorded */
+    canKeepAnotherRun(run) {
+        return this.isKeptRun(run) || this.runLog.filter(r => this.isKeptRun(r)).length < MAX_LOGGED_RUNS - 1;
     }
 
-    debounceRunSimulation() {
-        if (this.debounceTimer) clearTimeout(this.debounceTimer);
-        this.debounceTimer = setTimeout(() => {
-            // Only auto-run if the interaction is done AND if it has run once before
-            // Don't run during drag operations
-            if (!this.isBobDragging && !this.isLengthChanging && this.hasRunOnce) {
-                this.runSimulation();
-            }
-        }, 300);
+    renderRunLog() {
+        const body = document.getElementById('runLogBody');
+        const empty = this.runLog.length === 0;
+        ['exportRunsCsvBtn', 'exportRunsJsonBtn', 'clearRunLogBtn'].forEach(id => {
+            document.getElementById(id).disabled = empty;
+        });
+
+        if (empty) {
+            body.innerHTML = '<tr class="run-log-empty"><td colspan="4">No runs yet.</td></tr>';
+            return;
+        }
+
+        body.innerHTML = '';
+        this.runLog.forEach(run => {
+            const p = run.params;
+            const omega = p.initialOmega ? `, ω₀ ${p.initialOmega.toFixed(2)} rad/s` : '';
+            const setup = `${p.pendulumType}, L ${p.length_m.toFixed(2)} m, θ₀ ${p.initialAngle_deg}°${omega}, ` +
+                `c ${p.damping.toFixed(3)}, g ${p.gravity.toFixed(2)}`;
+            const sim = run.simPeriod !== null ? run.simPeriod.toFixed(3) : 'N/A';
+
+            const row = document.createElement('tr');
+            row.classList.toggle('replaying', run.id === this.replayingRunId);
+            row.innerHTML =
+                `<td><input type="text" data-run-id="${run.id}"></td>` +
+                `<td class="run-log-setup">${setup}</td>` +
+                `<td>${PREDICTION_SOURCE_LABELS[run.prediction.source]} ${run.prediction.period.toFixed(3)}<br>Sim ${sim}</td>` +
+                '<td class="run-log-row-actions">' +
+                `<button data-action="replay" data-run-id="${run.id}" title="Replay">▶</button>` +
+                `<button data-action="pin" data-run-id="${run.id}" title="Pin on the angle chart">📌</button>` +
+                `<button data-action="csv" data-run-id="${run.id}" title="Export CSV">CSV</button>` +
+                `<button data-action="json" data-run-id="${run.id}" title="Export JSON">JSON</button>` +
+                `<button data-action="delete" data-run-id="${run.id}" title="Delete">✖</button>` +
+                '</td>';
+            // Set as a property so names are never parsed as HTML
+            row.querySelector('input').value = run.name;
+            body.appendChild(row);
+        });
     }
 
-    // P5.js setup for visualization
-    initP5Sketch() {
-        const sketch = (p) => {
-            const container = document.getElementById('p5Sketch');
-            let canvasWidth = container.clientWidth;
-            let canvasHeight = 300;
-            const simTimeStep = this.getInputValue('timeStep');
+    /** Puts a logged run's settings back into the controls and plays its stored data without re-simulating */
+    replayRun(run) {
+        this.stopAnimation();
+        this.applySimParameters(run.params);
 
-            const deg2rad = window.mlPendulum.deg2rad;
-            const rad2deg = window.mlPendulum.rad2deg;
+        this.physicsData = run.physicsData;
+        this.mlTrajectory = run.mlTrajectory;
+        this.currentFrame = 0;
+        this.currentRun = run;
+        this.replayingRunId = run.id;
+        this.presentRun(run.params, run.prediction, run.simPeriod ?? NaN);
+        this.renderRunLog();
+    }
 
-            p.setup = () => {
-                p.createCanvas(canvasWidth, canvasHeight).parent('p5Sketch');
-                p.angleMode(p.RADIANS);
-                p.frameRate(60);
-                p.noLoop();
+    /** Sets every input and selector from a getSimParameters() object without triggering an auto-run */
+    applySimParameters(params) {
+        const setInput = (id) => {
+            const key = id.replace(/-/g, '_');
+            const input = document.getElementById(id);
+            if (!input || params[key] === undefined) return;
+            input.value = params[key];
+            input.dispatchEvent(new Event('input')); // refreshes the value label
+        };
 
-                this.originY = 20;
-                this.maxL_vis = canvasHeight - 50;
-            };
+        // Damping goes last: its slider's max depends on L, m and g, and a stale max would clamp a strong c
+        this.inputIds.filter(id => id !== 'damping').forEach(setInput);
+        this.updateDampingRange();
+        setInput('damping');
+
+        if (params.pendulumType) {
+            document.getElementById('pendulumType').value = params.pendulumType;
+            this.pendulumType = params.pendulumType;
+            this.updateSecondBobControls();
+        }
+        if (params.integrator) {
+            document.getElementById('integrator').value = params.integrator;
+            this.integrator = params.integrator;
+        }
+        this.saveUrlState();
+
+        // The input events above queued an auto-run
+        clearTimeout(this.debounceTimer);
+    }
+
+    /** Downloads runs as one long-format CSV (a line per time step) or as JSON */
+    exportRuns(runs, format) {
+        if (runs.length === 0) return;
+        const stem = runs.length === 1 ? FileUtils.safeFilename(runs[0].name) : 'pendulum-runs';
+
+        if (format === 'json') {
+            const data = {
+                experiment: 'pendulum',
+                exportedAt: new Date().toISOString(),
+                runs: runs.map(run => ({
+                    name: run.name,
+                    createdAt: run.createdAt,
+                    params: run.params,
+                    prediction: run.prediction,
+                    simPeriod: run.simPeriod,
+                    series: run.physicsData
+                }))
+            };
+            FileUtils.download(`${stem}.json`, JSON.stringify(data, null, 2), 'application/json');
+            return;
+        }
+
+        const paramKeys = Object.keys(runs[0].params);
+        const seriesKeys = Object.keys(RUN_SERIES_COLUMNS)
+            .filter(key => runs.some(run => run.physicsData.length > 0 && run.physicsData[0][key] !== undefined));
+        const columns = ['run', 'prediction_source', 'predicted_period_s', 'sim_period_s', ...paramKeys,
+            ...seriesKeys.map(key => RUN_SERIES_COLUMNS[key])];
+
+        const rows = [];
+        runs.forEach(run => {
+            const runColumns = {
+                run: run.name,
+                prediction_source: run.prediction.source,
+                predicted_period_s: run.prediction.period,
+                sim_period_s: run.simPeriod,
+                ...run.params
+            };
+            run.physicsData.forEach(state => {
+                const row = { ...runColumns };
+                seriesKeys.forEach(key => { row[RUN_SERIES_COLUMNS[key]] = state[key]; });
+                rows.push(row);
+            });
+        });
+        FileUtils.download(`${stem}.csv`, FileUtils.toCSV(rows, columns), 'text/csv');
+    }
+
+    initChart(inputLengthMeters) {
+
+        const rad2deg = window.mlPendulum.rad2deg;
+        const twoBobs = this.pendulumType !== 'simple';
+        const mainColor = this.currentMode === 'ml' ? '#667eea' : '#4CAF50';
+        const totalTime = this.getInputValue('totalTime');
+
+        // Chart totalTime seconds
+        const chartDataLength = Math.min(this.physicsData.length, Math.floor(totalTime / this.getInputValue('timeStep')));
+        const chartStates = this.physicsData.slice(0, chartDataLength);
+        const stride = Math.max(1, Math.ceil(chartStates.length / MAX_XY_POINTS));
+        const xyStates = chartStates.filter((_, i) => i % stride === 0);
+
+        if (this.chart) this.chart.destroy();
+        this.chartCursorPoint = null;
+
+        const timeOptions = { totalTime, xLabel: 'Time (s)' };
+
+        switch (this.chartView) {
+            case 'phase': {
+                const series = [{
+                    label: twoBobs ? 'Bob 1' : 'θ vs ω',
+                    points: xyStates.map(s => ({ x: s.theta, y: s.omega })),
+                    color: mainColor
+                }];
+                if (twoBobs) {
+                    series.push({ label: 'Bob 2', points: xyStates.map(s => ({ x: s.theta2, y: s.omega2 })), color: '#FF9800' });
+                }
+                this.chart = ChartUtils.createXYChart('angleChart', series, {
+                    title: `Phase Portrait (L=${inputLengthMeters}m)`,
+                    xLabel: 'θ (rad)',
+                    yLabel: 'ω (rad/s)'
+                });
+                this.chartCursorPoint = s => ({ x: s.theta, y: s.omega });
+                break;
+            }
+            case 'energy':
+                this.chart = ChartUtils.createMultiSeriesChart('angleChart', [
+                    { label: 'Kinetic (J)', data: chartStates.map(s => s.kinetic), color: '#FF9800' },
+                    { label: 'Potential (J)', data: chartStates.map(s => s.potential), color: '#667eea' },
+                    { label: 'Total (J)', data: chartStates.map(s => s.energy), color: '#f44336' }
+                ], {
+                    ...timeOptions,
+                    yLabel: 'Energy (J)',
+                    title: `Energy vs Time (damping and drag remove energy)`
+                });
+                break;
+            case 'omega': {
+                const series = [{ label: twoBobs ? 'ω₁ (rad/s)' : 'ω (rad/s)', data: chartStates.map(s => s.omega), color: mainColor }];
+                if (twoBobs) {
+                    series.push({ label: 'ω₂ (rad/s)', data: chartStates.map(s => s.omega2), color: '#FF9800' });
+                }
+                this.chart = ChartUtils.createMultiSeriesChart('angleChart', series, {
+                    ...timeOptions,
+                    yLabel: 'Angular Velocity (rad/s)',
+                    title: `Angular Velocity vs Time (L=${inputLengthMeters}m)`
+                });
+                break;
+            }
+            case 'trace': {
+                const series = [{ label: 'Bob 1', points: xyStates.map(s => ({ x: s.x, y: s.y })), color: mainColor }];
+                if (twoBobs) {
+                    series.push({ label: 'Bob 2', points: xyStates.map(s => ({ x: s.x2, y: s.y2 })), color: '#FF9800' });
+                }
+                this.chart = ChartUtils.createXYChart('angleChart', series, {
+                    title: 'Bob Path (pivot at 0, 0)',
+                    xLabel: 'x (m)',
+                    yLabel: 'y (m)'
+                });
+                this.chartCursorPoint = twoBobs ? s => ({ x: s.x2, y: s.y2 }) : s => ({ x: s.x, y: s.y });
+                break;
+            }
+            default: {
+                const series = [{
+                    label: twoBobs ? 'θ₁ (Deg)' : this.mlTrajectory ? `${INTEGRATOR_INFO[this.integrator].label} (Deg)` : 'Angle (Deg)',
+                    data: chartStates.map(s => rad2deg(s.theta)),
+                    color: mainColor
+                }];
+                if (twoBobs) {
+                    series.push({ label: 'θ₂ (Deg)', data: chartStates.map(s => rad2deg(s.theta2)), color: '#FF9800' });
+                }
+                // Linear-theory envelope θ₀·e^(−γt) that the peaks should follow
+                const info = this.dampingInfo;
+                if (!twoBobs && info && info.regime === 'underdamped' && info.gamma > 0 && chartStates.length > 0) {
+                    const theta0 = rad2deg(chartStates[0].theta);
+                    series.push({
+                        label: `Decay envelope θ₀e^(−γt), γ = ${info.gamma.toFixed(3)}/s`,
+                        data: chartStates.map(s => theta0 * Math.exp(-info.gamma * s.t)),
+                        color: '#9E9E9E',
+                        dashed: true
+                    });
+                }
+                if (this.mlTrajectory) {
+                    series.push({
+                        label: 'ML trajectory (Deg)',
+                        data: this.mlTrajectory.slice(0, chartDataLength).map(s => rad2deg(s.theta)),
+                        color: '#f44336',
+                        dashed: true
+                    });
+                }
+                this.chart = ChartUtils.createMultiSeriesChart('angleChart', series, {
+                    ...timeOptions,
+                    yLabel: 'Angle (Degrees)',
+                    title: `Pendulum Angle vs Time (L=${inputLengthMeters}m)`
+                });
+                this.chartTimes = chartStates.map(s => s.t);
+                this.pinnedRuns.forEach(pin => this.addPinnedSeries(pin));
+                if (this.measuredData && this.measuredData.kind === 'series') this.addMeasuredSeries();
+            }
+        }
+
+        this.updateChartCursor(this.currentFrame);
+    }
+
+    /** Keeps a logged run on the angle chart, in its own colour, until it is unpinned */
+    pinRun(run) {
+        if (!run || this.pinnedRuns.some(pin => pin.run === run)) return;
+        if (this.pinnedRuns.length >= PIN_COLORS.length) {
+            alert(`At most ${PIN_COLORS.length} runs can be pinned. Unpin one first.`);
+            return;
+        }
+        if (!this.canKeepAnotherRun(run)) {
+            alert(`At most ${MAX_LOGGED_RUNS - 1} runs can be renamed or pinned. Delete one first.`);
+            return;
+        }
+
+        const color = PIN_COLORS.find(c => !this.pinnedRuns.some(pin => pin.color === c));
+        const pin = { run, color };
+        this.pinnedRuns.push(pin);
+        if (this.chartView === 'angle' && this.chart) this.addPinnedSeries(pin);
+        this.renderPinnedRuns();
+    }
+
+    unpinRun(runId) {
+        const pin = this.pinnedRuns.find(p => p.run.id === runId);
+        if (!pin) return;
+        this.pinnedRuns = this.pinnedRuns.filter(p => p !== pin);
+        if (this.chartView === 'angle' && this.chart) ChartUtils.removeSeries(this.chart, `pin-${runId}`);
+        this.renderPinnedRuns();
+    }
+
+    /** Re-adds every pinned series, e.g. after a pinned run was renamed */
+    refreshPinnedRuns() {
+        if (this.chartView === 'angle' && this.chart) {
+            this.pinnedRuns.forEach(pin => {
+                ChartUtils.removeSeries(this.chart, `pin-${pin.run.id}`);
+                this.addPinnedSeries(pin);
+            });
+        }
+        this.renderPinnedRuns();
+    }
+
+    /** Adds a pinned run's θ(t), resampled onto the current chart's time points (gaps after the pinned run ends) */
+    addPinnedSeries(pin) {
+        const { run, color } = pin;
+        const states = run.physicsData;
+        const dt = run.params.timeStep;
+        const rad2deg = window.mlPendulum.rad2deg;
+
+        const data = this.chartTimes.map(t => {
+            const i = Math.floor(t / dt + 1e-9);
+            if (i >= states.length - 1) return i === states.length - 1 ? rad2deg(states[i].theta) : null;
+            const f = (t - states[i].t) / dt;
+            return rad2deg(states[i].theta + f * (states[i + 1].theta - states[i].theta));
+        });
+
+        ChartUtils.addSeries(this.chart, {
+            key: `pin-${run.id}`,
+            label: `${run.name} (L=${run.params.length_m.toFixed(2)}m, θ₀=${run.params.initialAngle_deg}°)`,
+            data,
+            color
+        });
+    }
+
+    renderPinnedRuns() {
+        const container = document.getElementById('pinnedRuns');
+        container.innerHTML = '';
+        this.pinnedRuns.forEach(({ run, color }) => {
+            const chip = document.createElement('span');
+            chip.className = 'pin-chip';
+            chip.innerHTML = `<span class="pin-swatch" style="background: ${color};"></span><span></span>` +
+                `<button data-run-id="${run.id}" title="Unpin">✖</button>`;
+            chip.children[1].textContent = run.name;
+            container.appendChild(chip);
+        });
+    }
+
+    setupMeasuredData() {
+        const fileInput = document.getElementById('measuredFile');
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            try {
+                const table = FileUtils.parseCSV(await file.text());
+                this.setMeasuredData(window.mlPendulum.parseMeasuredPendulumData(table), file.name);
+            } catch (error) {
+                this.updateStatus(`Could not read ${file.name}: ${error.message}`, 'error', 'measuredStatus');
+            }
+        });
+
+        document.getElementById('fitMeasuredBtn').addEventListener('click', () => this.fitMeasuredData());
+        document.getElementById('clearMeasuredBtn').addEventListener('click', () => {
+            fileInput.value = '';
+            this.setMeasuredData(null);
+        });
+        document.getElementById('measuredToTraining').addEventListener('change', (e) => {
+            if (!e.target.checked || !this.measuredData) return;
+            const count = this.getMeasuredTrainingRows().length;
+            this.updateStatus(
+                count ? `${count} measured row(s) will be added the next time you train the ML model.`
+                    : 'This swing has fewer than 3 peaks, so it gives no period to train on.',
+                count ? 'info' : 'error',
+                'measuredStatus'
+            );
+        });
+    }
+
+    setMeasuredData(data, fileName = '') {
+        this.measuredData = data;
+        this.measuredFit = null;
+        document.getElementById('fitMeasuredBtn').disabled = !data;
+        document.getElementById('gravityAddMeasuredBtn').disabled = !data;
+        document.getElementById('clearMeasuredBtn').style.display = data ? '' : 'none';
+        document.getElementById('measuredReport').style.display = 'none';
+
+        if (!data) {
+            document.getElementById('measuredStatus').style.display = 'none';
+        } else if (data.kind === 'series') {
+            const duration = data.t[data.t.length - 1];
+            this.updateStatus(
+                `${fileName}: recorded swing, ${data.t.length} points over ${duration.toFixed(1)} s, released at ${window.mlPendulum.rad2deg(data.theta[0]).toFixed(1)}°. ` +
+                'Shown as dots on the Angle vs Time chart.',
+                'success',
+                'measuredStatus'
+            );
+        } else {
+            this.updateStatus(`${fileName}: ${data.rows.length} timed period(s).`, 'success', 'measuredStatus');
+        }
+
+        if (this.physicsData.length > 0 && this.lastSimParams) this.initChart(this.lastSimParams.length_m);
+    }
+
+    /** Adds the imported swing to the angle chart as dots, each at the chart point nearest its time */
+    addMeasuredSeries() {
+        const { t, theta } = this.measuredData;
+        const dt = this.chartTimes[1] - this.chartTimes[0];
+        const data = this.chartTimes.map(() => null);
+        t.forEach((time, k) => {
+            const i = Math.round(time / dt);
+            if (i < data.length) data[i] = window.mlPendulum.rad2deg(theta[k]);
+        });
+
+        ChartUtils.addSeries(this.chart, {
+            key: 'measured',
+            label: 'Measured (Deg)',
+            data,
+            color: '#333333',
+            pointRadius: 3,
+            showLine: false
+        });
+    }
+
+    /** Fits the checked parameters to the imported data within their slider ranges, then runs the fitted setup */
+    async fitMeasuredData() {
+        if (!this.measuredData) return;
+        const ids = ['fitDamping', 'fitLength', 'fitGravity']
+            .map(id => document.getElementById(id))
+            .filter(box => box.checked)
+            .map(box => box.value);
+        if (ids.length === 0) {
+            this.updateStatus('Tick at least one parameter to fit.', 'error', 'measuredStatus');
+            return;
+        }
+
+        const keys = ids.map(id => id.replace(/-/g, '_'));
+        const bounds = {};
+        ids.forEach((id, i) => {
+            const input = document.getElementById(id);
+            bounds[keys[i]] = { min: parseFloat(input.min), max: parseFloat(input.max) };
+        });
+
+        const fitBtn = document.getElementById('fitMeasuredBtn');
+        fitBtn.disabled = true;
+        this.updateStatus('Fitting: running the simulation many times...', 'info', 'measuredStatus');
+        // Let the status paint before the fit blocks the page
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const ml = window.mlPendulum;
+        let fit;
+        try {
+            fit = ml.fitPendulumToMeasurements(this.getSimParameters(), this.measuredData, keys, bounds);
+        } catch (error) {
+            this.updateStatus(`Fit Error: ${error.message}`, 'error', 'measuredStatus');
+            return;
+        } finally {
+            fitBtn.disabled = false;
+        }
+        this.measuredFit = fit;
+
+        const describe = {
+            damping: v => `c = ${v.toFixed(4)}`,
+            length_m: v => `L = ${v.toFixed(3)} m`,
+            gravity: v => `g = ${v.toFixed(2)} m/s²`
+        };
+        const fixed = ['damping', 'length_m', 'gravity'].filter(key => !keys.includes(key)).map(key => describe[key](fit.params[key]));
+        const notes = [];
+        if (keys.includes('length_m') && keys.includes('gravity')) {
+            notes.push('L and g mostly enter the motion as g/L, so fitting both at once is poorly determined. Fix one of them for a reliable answer.');
+        }
+        if (this.measuredData.kind === 'periods' && this.measuredData.rows.some(row => row.length_m !== undefined) && keys.includes('length_m')) {
+            notes.push('Rows with their own length keep it; the fitted L only applies to rows without one.');
+        }
+
+        const reportEl = document.getElementById('measuredReport');
+        reportEl.style.display = 'block';
+        reportEl.innerHTML =
+            `<strong>Best fit:</strong> ${keys.map(key => describe[key](fit.fitted[key])).join(', ')}<br>` +
+            (fixed.length ? `<strong>Held fixed:</strong> ${fixed.join(', ')}<br>` : '') +
+            `<strong>RMS error:</strong> ${fit.rmse.toFixed(fit.units === 's' ? 4 : 2)} ${fit.units} (${fit.evaluations} simulations)` +
+            notes.map(note => `<br>${note}`).join('');
+
+        // Show the fitted setup; the sliders round the values to their step
+        const applied = { ...fit.fitted, pendulumType: 'simple', driveAmplitude: 0, initialOmega: 0 };
+        if (this.measuredData.kind === 'series') {
+            applied.initialAngle_deg = Math.round(fit.params.initialAngle_deg);
+            applied.totalTime = Math.ceil(fit.params.totalTime);
+        }
+        this.applySimParameters(applied);
+        this.updateStatus('Fit complete. The simulation now uses the fitted values.', 'success', 'measuredStatus');
+        await this.runSimulation();
+    }
+
+    /** Measured rows for the next training run, when the "add to training set" box is ticked */
+    getMeasuredTrainingRows() {
+        if (!this.measuredData || !document.getElementById('measuredToTraining').checked) return [];
+        const params = this.measuredFit ? this.measuredFit.params : this.getSimParameters();
+        return window.mlPendulum.measurementsToTrainingRows(this.measuredData, params);
+    }
+
+    /** Estimate-g panel: (L, T) pairs from runs, length sweeps, imported data or typed in, fitted as T² against L */
+    setupGravityEstimate() {
+        document.getElementById('gravityAddRunBtn').addEventListener('click', () => this.addCurrentRunToGravity());
+        document.getElementById('gravitySweepBtn').addEventListener('click', () => this.addGravitySweep());
+        document.getElementById('gravityAddMeasuredBtn').addEventListener('click', () => this.addMeasuredToGravity());
+
+        document.getElementById('gravityAddManualBtn').addEventListener('click', () => {
+            const lengthInput = document.getElementById('gravityManualL');
+            const periodInput = document.getElementById('gravityManualT');
+            const length_m = parseFloat(lengthInput.value);
+            const period = parseFloat(periodInput.value);
+            if (!(length_m > 0) || !(period > 0)) {
+                this.updateStatus('Enter a length and a period, both greater than zero.', 'error', 'gravityStatus');
+                return;
+            }
+            this.addGravityPairs([{ source: 'Manual', length_m, period, amplitude_deg: null }]);
+            lengthInput.value = '';
+            periodInput.value = '';
+            lengthInput.focus();
+        });
+
+        document.getElementById('gravityPairsBody').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-pair-index]');
+            if (!button) return;
+            this.gravityPairs.splice(Number(button.dataset.pairIndex), 1);
+            this.updateGravityEstimate();
+        });
+
+        document.getElementById('gravityApplyBtn').addEventListener('click', () => {
+            if (!this.gravityEstimate) return;
+            const slider = document.getElementById('gravity');
+            const g = Math.min(Math.max(this.gravityEstimate.g, parseFloat(slider.min)), parseFloat(slider.max));
+            slider.value = g.toFixed(2);
+            slider.dispatchEvent(new Event('input'));
+        });
+
+        document.getElementById('gravityClearBtn').addEventListener('click', () => {
+            this.gravityPairs = [];
+            this.updateGravityEstimate();
+        });
+    }
+
+    addGravityPairs(pairs) {
+        this.gravityPairs.push(...pairs);
+        this.updateGravityEstimate();
+    }
+
+    /** The latest (or replayed) run's simulated period; only a simple pendulum follows T = 2π√(L/g) */
+    addCurrentRunToGravity() {
+        const run = this.currentRun;
+        if (!run) return;
+        if (run.params.pendulumType !== 'simple' || run.simPeriod === null) {
+            this.updateStatus('Only a simple pendulum run with at least 3 swings gives a period to add.', 'error', 'gravityStatus');
+            return;
+        }
+        this.addGravityPairs([{
+            source: run.name,
+            length_m: run.params.length_m,
+            period: run.simPeriod,
+            amplitude_deg: window.mlPendulum.swingAmplitude_deg(run.params)
+        }]);
+    }
+
+    /** Simulates a simple, undriven pendulum at lengths across the slider's range with every other setting as it is now */
+    addGravitySweep() {
+        const ml = window.mlPendulum;
+        const params = { ...this.getSimParameters(), pendulumType: 'simple', driveAmplitude: 0 };
+        const lengthInput = document.getElementById('length-m');
+        const points = ml.parameterSweep(params, 'length_m', {
+            min: Math.max(parseFloat(lengthInput.min), 0.25),
+            max: parseFloat(lengthInput.max),
+            steps: 6
+        });
+
+        const pairs = points.filter(pt => Number.isFinite(pt.simPeriod)).map(pt => ({
+            source: 'Sweep',
+            length_m: pt.value,
+            period: pt.simPeriod,
+            amplitude_deg: ml.swingAmplitude_deg(params)
+        }));
+        if (pairs.length === 0) {
+            this.updateStatus('None of the lengths swung 3 times. Reduce the damping and try again.', 'error', 'gravityStatus');
+            return;
+        }
+        this.addGravityPairs(pairs);
+    }
+
+    /**
+     * Imported timed periods need a length_m column; a recorded swing has no length of its own,
+     * so it is paired with the current length setting
+     */
+    addMeasuredToGravity() {
+        const data = this.measuredData;
+        if (!data) return;
+
+        if (data.kind === 'periods') {
+            const rows = data.rows.filter(row => row.length_m !== undefined);
+            if (rows.length === 0) {
+                this.updateStatus('The imported periods have no length_m column to fit against.', 'error', 'gravityStatus');
+                return;
+            }
+            this.addGravityPairs(rows.map(row => ({
+                source: 'Measured',
+                length_m: row.length_m,
+                period: row.period,
+                amplitude_deg: row.initialAngle_deg ?? null
+            })));
+            return;
+        }
+
+        const ml = window.mlPendulum;
+        const est = ml.estimatePeriodFromSeries(data.t.map((t, i) => ({ t, theta: data.theta[i] })), 3);
+        if (!Number.isFinite(est.meanPeriod)) {
+            this.updateStatus('The recorded swing has fewer than 3 peaks, so it gives no period.', 'error', 'gravityStatus');
+            return;
+        }
+        this.addGravityPairs([{
+            source: 'Measured',
+            length_m: this.getInputValue('length-m'),
+            period: est.meanPeriod,
+            amplitude_deg: Math.abs(ml.rad2deg(data.theta[0]))
+        }]);
+    }
+
+    /** Redraws the pair table, refits g and plots T² against L with the fit and its 95% band */
+    updateGravityEstimate() {
+        const ml = window.mlPendulum;
+        const pairs = this.gravityPairs;
+        this.renderGravityPairs();
+        this.gravityEstimate = null;
+        document.getElementById('gravityClearBtn').disabled = pairs.length === 0;
+        document.getElementById('gravityApplyBtn').disabled = true;
+        document.getElementById('gravityReport').style.display = 'none';
+
+        if (this.gravityChart) {
+            this.gravityChart.destroy();
+            this.gravityChart = null;
+        }
+        if (pairs.length === 0) {
+            document.getElementById('gravityStatus').style.display = 'none';
+            return;
+        }
+
+        const series = [{
+            label: 'Pairs',
+            points: pairs.map(pair => ({ x: pair.length_m, y: pair.period ** 2 })),
+            color: '#667eea',
+            showLine: false,
+            pointRadius: 4
+        }];
+
+        let estimate = null;
+        if (pairs.length < 2) {
+            this.updateStatus('Add at least one more pair with a different length to fit a line.', 'info', 'gravityStatus');
+        } else {
+            try {
+                estimate = ml.estimateGravity(pairs);
+            } catch (error) {
+                this.updateStatus(`Cannot fit g yet: ${error.message}`, 'error', 'gravityStatus');
+            }
+        }
+
+        if (estimate) {
+            this.gravityEstimate = estimate;
+            document.getElementById('gravityApplyBtn').disabled = false;
+
+            // From L = 0 so the intercept b is visible
+            const lengths = pairs.map(pair => pair.length_m);
+            const xMax = Math.max(...lengths) * 1.05;
+            const xs = Array.from({ length: 30 }, (_, i) => (xMax * i) / 29);
+            series.push({
+                label: `Fit: g = ${estimate.g.toFixed(2)} m/s²`,
+                points: xs.map(x => ({ x, y: estimate.fit.intercept + estimate.fit.slope * x })),
+                color: '#4CAF50'
+            });
+            if (Number.isFinite(estimate.tCrit)) {
+                const bands = xs.map(x => ({ x, ...ml.gravityFitBand(estimate, x) }));
+                series.push(
+                    { label: '95% band', points: bands.map(b => ({ x: b.x, y: b.upper })), color: '#FF9800', dashed: true },
+                    { label: '95% band (lower)', points: bands.map(b => ({ x: b.x, y: b.lower })), color: '#FF9800', dashed: true }
+                );
+            }
+            this.renderGravityReport(estimate);
+        }
+
+        this.gravityChart = ChartUtils.createXYChart('gravityChart', series, {
+            title: 'T² vs Length',
+            xLabel: 'Length L (m)',
+            yLabel: 'T² (s²)'
+        });
+        // The two band edges share one legend entry
+        this.gravityChart.options.plugins.legend.labels = { filter: item => item.text !== '95% band (lower)' };
+        this.gravityChart.update('none');
+    }
+
+    renderGravityPairs() {
+        const body = document.getElementById('gravityPairsBody');
+        if (this.gravityPairs.length === 0) {
+            body.innerHTML = '<tr class="run-log-empty"><td colspan="5">No pairs yet.</td></tr>';
+            return;
+        }
+
+        body.innerHTML = '';
+        this.gravityPairs.forEach((pair, i) => {
+            const row = document.createElement('tr');
+            row.classList.toggle('gravity-wide-swing', pair.amplitude_deg > SMALL_SWING_DEG);
+            row.innerHTML =
+                '<td></td>' +
+                `<td>${pair.length_m.toFixed(3)}</td>` +
+                `<td>${pair.period.toFixed(3)}</td>` +
+                `<td>${(pair.period ** 2).toFixed(3)}</td>` +
+                `<td class="run-log-row-actions"><button data-pair-index="${i}" title="Remove">✖</button></td>`;
+            // Sources can be run names, so set as text
+            row.cells[0].textContent = pair.source;
+            if (pair.amplitude_deg > SMALL_SWING_DEG) {
+                row.title = `Swing of ${pair.amplitude_deg.toFixed(0)}°: its period is longer than 2π√(L/g)`;
+            }
+            body.appendChild(row);
+        });
+    }
+
+    renderGravityReport(estimate) {
+        const { g, gSE, g95, fit, closest } = estimate;
+        const preset = window.mlPendulum.GRAVITY_PRESETS[closest];
+        const uncertainty = Number.isFinite(g95)
+            ? `<strong>g = ${g.toFixed(2)} ± ${g95.toFixed(2)} m/s²</strong> (95% confidence; standard error ${gSE.toFixed(3)})`
+            : `<strong>g = ${g.toFixed(2)} m/s²</strong> (add a third pair for an uncertainty)`;
+        // T² = (4π²/g)(L + ΔL), so a constant length error ΔL shows up as b = slope · ΔL
+        const offset_cm = (fit.intercept / fit.slope) * 100;
+        const wide = this.gravityPairs.filter(pair => pair.amplitude_deg > SMALL_SWING_DEG).length;
+
+        const report = document.getElementById('gravityReport');
+        report.innerHTML =
+            `${uncertainty} from ${fit.n} pairs<br>` +
+            `<strong>Slope:</strong> ${fit.slope.toFixed(3)} s²/m, <strong>intercept b:</strong> ${fit.intercept.toFixed(3)} s² ` +
+            `(as if every length were off by ${offset_cm.toFixed(1)} cm), <strong>R²:</strong> ${fit.r2.toFixed(4)}<br>` +
+            `<strong>Closest body:</strong> ${GRAVITY_PRESET_LABELS[closest]} (${preset} m/s²)`;
+        report.style.display = 'block';
+
+        this.updateStatus(
+            wide ? `Fitted g. ${wide} pair(s) swing wider than ${SMALL_SWING_DEG}° (highlighted), which pulls g down.` : 'Fitted g.',
+            wide ? 'info' : 'success',
+            'gravityStatus'
+        );
+    }
+
+    /** Moves the chart cursor to the simulation frame currently drawn by p5 */
+    updateChartCursor(frame) {
+        const state = this.physicsData[frame];
+        if (!this.chart || !state) return;
+
+        const cursor = this.chartCursorPoint ? { point: this.chartCursorPoint(state) } : { index: frame };
+        ChartUtils.setCursor(this.chart, cursor);
+    }
+
+    /** Fills the period table with every method side by side, as % error against the simulated period */
+    updatePeriodComparison(params, simPeriod, activeSource) {
+        const ml = window.mlPendulum;
+        const { length_m, gravity } = params;
+        const amplitude_deg = ml.swingAmplitude_deg(params);
+
+        let mlPeriod = NaN;
+        if (this.isModelTrained && params.pendulumType === 'simple') {
+            try {
+                mlPeriod = ml.predictPendulumPeriod(params);
+            } catch (error) {
+                mlPeriod = NaN;
+            }
+        }
+
+        const periods = {
+            Small: ml.theoreticalSmallAnglePeriod(length_m, gravity),
+            Series: ml.seriesCorrectedPeriod(length_m, amplitude_deg, gravity),
+            Exact: ml.exactLargeAnglePeriod(length_m, amplitude_deg, gravity),
+            ML: mlPeriod
+        };
+
+        const format = (v) => Number.isFinite(v) ? v.toFixed(3) : 'N/A';
+        const percentError = (v) => {
+            if (!Number.isFinite(v) || !Number.isFinite(simPeriod)) return '-';
+            const err = ((v - simPeriod) / simPeriod) * 100;
+            return `${err >= 0 ? '+' : ''}${err.toFixed(2)}%`;
+        };
+
+        Object.entries(periods).forEach(([key, value]) => {
+            document.getElementById(`period${key}`).textContent = format(value);
+            document.getElementById(`period${key}Err`).textContent = percentError(value);
+        });
+        document.getElementById('periodSim').textContent = format(simPeriod);
+
+        const activeMethod = activeSource === 'formula' ? 'small' : activeSource;
+        document.querySelectorAll('.period-table tr[data-method]').forEach(row => {
+            row.classList.toggle('selected', row.dataset.method === activeMethod);
+        });
+    }
+
+    /** Flags each ML input outside the training data and shows how far the model is extrapolating */
+    updateRangeWarnings(params) {
+        const indicator = document.getElementById('extrapolationIndicator');
+        const check = this.isModelTrained && params.pendulumType === 'simple'
+            ? window.mlPendulum.checkTrainingRange(params)
+            : null;
+
+        window.mlPendulum.FEATURE_KEYS.forEach(key => {
+            // Feature keys map back to input ids the same way getSimParameters maps ids to keys
+            const group = document.getElementById(key.replace(/_/g, '-')).closest('.control-group');
+            let warning = group.querySelector('.range-warning');
+            const outside = check && check.outside.find(o => o.key === key);
+
+            group.classList.toggle('out-of-range', !!outside);
+            if (!outside) {
+                if (warning) warning.remove();
+                return;
+            }
+            if (!warning) {
+                warning = document.createElement('div');
+                warning.className = 'range-warning';
+                group.appendChild(warning);
+            }
+            warning.textContent = `⚠ Outside ML training range (${outside.min.toFixed(2)}–${outside.max.toFixed(2)})`;
+        });
+
+        if (!check) {
+            indicator.style.display = 'none';
+            return;
+        }
+
+        indicator.style.display = 'block';
+        if (check.inRange) {
+            indicator.className = 'extrapolation-indicator in-range';
+            indicator.textContent = '✓ ML inputs inside training range';
+        } else {
+            const strong = check.extrapolation > STRONG_EXTRAPOLATION;
+            const names = check.outside.map(o => FEATURE_LABELS[o.key]).join(', ');
+            indicator.className = `extrapolation-indicator ${strong ? 'strong' : 'mild'}`;
+            indicator.textContent = `${strong ? '⛔ Strong' : '⚠ Mild'} extrapolation: ${names}`;
+        }
+
+        if (this.currentMode === 'ml' && !check.inRange) {
+            const details = check.outside
+                .map(o => `${FEATURE_LABELS[o.key]} = ${o.value} (trained on ${o.min.toFixed(2)}–${o.max.toFixed(2)})`)
+                .join('; ');
+            this.updateStatus(`ML is extrapolating, so treat its period with caution: ${details}.`, 'error');
+        }
+    }
+
+    /** Sweeps the drive frequency and plots steady-state amplitude, marking the small-angle natural frequency */
+    runResonanceSweep() {
+        const simParams = this.getSimParameters();
+        const fMin = parseFloat(document.getElementById('sweepFMin').value);
+        const fMax = parseFloat(document.getElementById('sweepFMax').value);
+        const steps = parseInt(document.getElementById('sweepSteps').value, 10);
+
+        if (!(simParams.driveAmplitude > 0)) {
+            this.updateStatus('Set a drive amplitude above 0 N·m first (Driving Force section).', 'error', 'sweepStatus');
+            return;
+        }
+        if (!(fMin > 0) || !(fMax > fMin) || !(steps >= 2)) {
+            this.updateStatus('Frequency range must satisfy 0 < From < To, with at least 2 steps.', 'error', 'sweepStatus');
+            return;
+        }
+
+        // Long runs so the transient has died out before the amplitude is measured
+        const curve = window.mlPendulum.resonanceSweep(
+            { ...simParams, totalTime: Math.max(simParams.totalTime, 40) },
+            { fMin, fMax, steps }
+        );
+
+        const peak = curve.reduce((best, pt) => pt.amplitude_deg > best.amplitude_deg ? pt : best, curve[0]);
+        const theoreticalPeriod = window.mlPendulum.theoreticalSmallAnglePeriod(simParams.length_m, simParams.gravity);
+        const naturalFrequency = 1 / theoreticalPeriod;
+
+        if (this.resonanceChart) this.resonanceChart.destroy();
+        this.resonanceChart = ChartUtils.createXYChart('resonanceChart', [
+            {
+                label: 'Steady-state amplitude',
+                points: curve.map(pt => ({ x: pt.frequency, y: pt.amplitude_deg })),
+                color: '#667eea',
+                pointRadius: 3
+            },
+            {
+                label: 'f₀ = 1 / 2π√(L/g)',
+                points: [{ x: naturalFrequency, y: 0 }, { x: naturalFrequency, y: peak.amplitude_deg }],
+                color: '#4CAF50',
+                dashed: true
+            }
+        ], {
+            title: `Resonance Curve (L=${simParams.length_m}m, g=${simParams.gravity}m/s²)`,
+            xLabel: 'Drive Frequency (Hz)',
+            yLabel: 'Amplitude (Degrees)'
+        });
+
+        this.updateStatus(
+            `Peak at ${peak.frequency.toFixed(3)} Hz (T = ${(1 / peak.frequency).toFixed(3)} s). ` +
+            `Small-angle formula: f₀ = ${naturalFrequency.toFixed(3)} Hz (T = ${theoreticalPeriod.toFixed(3)} s).`,
+            'success',
+            'sweepStatus'
+        );
+    }
+
+    /** Fills the parameter selector from inputIds, with each slider's own range as the default sweep range */
+    setupParamSweep() {
+        const keySelect = document.getElementById('paramSweepKey');
+        this.inputIds.forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = document.getElementById(id).closest('.control-group').querySelector('.control-label').textContent.trim();
+            keySelect.appendChild(option);
+        });
+
+        const applyRange = () => {
+            const input = document.getElementById(keySelect.value);
+            document.getElementById('paramSweepMin').value = input.min;
+            document.getElementById('paramSweepMax').value = input.max;
+        };
+        keySelect.addEventListener('change', applyRange);
+        keySelect.value = 'length-m';
+        applyRange();
+    }
+
+    /** Sweeps one input and plots the simulated period against it, then fits T = A·x^b on log-log axes */
+    runParameterSweep() {
+        const simParams = this.getSimParameters();
+        const keySelect = document.getElementById('paramSweepKey');
+        const key = keySelect.value.replace(/-/g, '_');
+        const label = keySelect.options[keySelect.selectedIndex].textContent;
+        const min = parseFloat(document.getElementById('paramSweepMin').value);
+        const max = parseFloat(document.getElementById('paramSweepMax').value);
+        const steps = parseInt(document.getElementById('paramSweepSteps').value, 10);
+
+        if (!Number.isFinite(min) || !(max > min) || !(steps >= 3)) {
+            this.updateStatus('Range must satisfy From < To, with at least 3 steps.', 'error', 'paramSweepStatus');
+            return;
+        }
+
+        const ml = window.mlPendulum;
+        const points = ml.parameterSweep(simParams, key, { min, max, steps });
+        const simple = simParams.pendulumType === 'simple';
+
+        // The ML model only predicts the simple pendulum
+        if (this.isModelTrained && simple) {
+            points.forEach(pt => {
+                try {
+                    pt.ml = ml.predictPendulumPeriod({ ...simParams, [key]: pt.value });
+                } catch (error) {
+                    pt.ml = NaN;
+                }
+            });
+        }
+
+        const measured = points.filter(pt => Number.isFinite(pt.simPeriod));
+        const series = [{
+            label: 'Simulated (peaks)',
+            points: measured.map(pt => ({ x: pt.value, y: pt.simPeriod })),
+            color: '#667eea',
+            pointRadius: 3
+        }];
+        if (simple) {
+            series.push(
+                { label: 'Small-angle formula', points: points.map(pt => ({ x: pt.value, y: pt.smallAngle })), color: '#4CAF50', dashed: true },
+                { label: 'Exact formula', points: points.map(pt => ({ x: pt.value, y: pt.exact })), color: '#FF9800', dashed: true }
+            );
+        }
+        if (points.some(pt => Number.isFinite(pt.ml))) {
+            series.push({
+                label: 'ML model',
+                points: points.filter(pt => Number.isFinite(pt.ml)).map(pt => ({ x: pt.value, y: pt.ml })),
+                color: '#f44336',
+                pointRadius: 3
+            });
+        }
+
+        if (this.paramSweepChart) this.paramSweepChart.destroy();
+        this.paramSweepChart = ChartUtils.createXYChart('paramSweepChart', series, {
+            title: `Period vs ${label}`,
+            xLabel: label,
+            yLabel: 'Period (s)'
+        });
+
+        if (this.paramSweepLogChart) {
+            this.paramSweepLogChart.destroy();
+            this.paramSweepLogChart = null;
+        }
+
+        const missing = points.length - measured.length;
+        const missingNote = missing > 0 ? ` ${missing} of ${points.length} values gave fewer than 3 swings, so no period.` : '';
+
+        let fit;
+        try {
+            fit = ml.powerLawFit(measured.map(pt => pt.value), measured.map(pt => pt.simPeriod));
+        } catch (error) {
+            this.updateStatus(`Plotted the sweep, but the log-log fit needs at least 2 positive values with a period.${missingNote}`, 'info', 'paramSweepStatus');
+            return;
+        }
+
+        const positive = measured.filter(pt => pt.value > 0);
+        const xMin = positive[0].value;
+        const xMax = positive[positive.length - 1].value;
+        const fitPoints = Array.from({ length: 30 }, (_, i) => {
+            const x = xMin * (xMax / xMin) ** (i / 29);
+            return { x, y: fit.prefactor * x ** fit.exponent };
+        });
+
+        this.paramSweepLogChart = ChartUtils.createXYChart('paramSweepLogChart', [
+            { label: 'Simulated (peaks)', points: positive.map(pt => ({ x: pt.value, y: pt.simPeriod })), color: '#667eea', pointRadius: 3, showLine: false },
+            { label: `Fit: T = ${fit.prefactor.toFixed(3)} · x^${fit.exponent.toFixed(3)}`, points: fitPoints, color: '#f44336', dashed: true }
+        ], {
+            title: `log T vs log ${label}`,
+            xLabel: `${label} (log scale)`,
+            yLabel: 'Period (s, log scale)',
+            xScale: 'logarithmic',
+            yScale: 'logarithmic'
+        });
+
+        // T = 2π√(L/g): the exponent is +½ for length and -½ for gravity
+        const expected = { length_m: 0.5, gravity: -0.5 }[key];
+        const expectedNote = expected !== undefined ? ` Theory (T = 2π√(L/g)) predicts ${expected > 0 ? '+' : ''}${expected}.` : '';
+        this.updateStatus(
+            `Log-log fit: T ∝ x^${fit.exponent.toFixed(3)}${Number.isFinite(fit.exponentSE) ? ` ± ${fit.exponentSE.toFixed(3)}` : ''} (R² = ${fit.r2.toFixed(4)}, ${fit.n} points).${expectedNote}${missingNote}`,
+            'success',
+            'paramSweepStatus'
+        );
+    }
+
+    /** Runs every integrator on the undamped, undriven system and plots relative energy error on a log scale */
+    runIntegratorComparison() {
+        const simParams = this.getSimParameters();
+        let results;
+        try {
+            results = window.mlPendulum.compareIntegrators(simParams);
+        } catch (error) {
+            this.updateStatus(`Comparison Error: ${error.message}`, 'error', 'integratorStatus');
+            return;
+        }
+
+        // Log axis: the first sample can be exactly zero, so floor the error; runs that blew up end in a gap
+        const length = Math.max(...results.map(r => r.drift.length));
+        const series = results.map(r => ({
+            label: INTEGRATOR_INFO[r.integrator].label,
+            data: Array.from({ length }, (_, i) => (i < r.drift.length ? Math.max(r.drift[i] * 100, 1e-12) : null)),
+            color: INTEGRATOR_INFO[r.integrator].color
+        }));
+
+        if (this.integratorChart) this.integratorChart.destroy();
+        this.integratorChart = ChartUtils.createMultiSeriesChart('integratorChart', series, {
+            totalTime: simParams.totalTime,
+            title: `Energy Drift, no damping or drive (dt = ${simParams.timeStep} s)`,
+            yLabel: '|E - E₀| / E₀ (%)',
+            yScale: 'logarithmic'
+        });
+
+        const summary = results
+            .slice()
+            .sort((a, b) => a.finalDrift - b.finalDrift)
+            .map(r => `${INTEGRATOR_INFO[r.integrator].label}: ${r.blowUpTime === null
+                ? `${(r.finalDrift * 100).toExponential(1)}%`
+                : `blew up at t = ${r.blowUpTime.toFixed(2)} s`}`)
+            .join(' · ');
+        this.updateStatus(`Energy error after ${simParams.totalTime} s. ${summary}`, 'success', 'integratorStatus');
+    }
+
+    /** Damping stat box: the regime and ζ from theory, with δ and Q measured from the simulated peaks */
+    updateDampingStats(info, decay) {
+        const twoBobs = this.pendulumType !== 'simple';
+        document.getElementById('dampingRegime').textContent = DAMPING_REGIME_LABELS[info.regime] + (twoBobs ? ' (bob 1)' : '');
+
+        const parts = [`ζ = ${info.zeta.toFixed(3)}`, `Q = ${Number.isFinite(info.q) ? info.q.toFixed(1) : '∞'}`];
+        if (Number.isFinite(decay.logDecrement) && !twoBobs) {
+            parts.push(`sim δ = ${decay.logDecrement.toFixed(3)} (Q ≈ ${decay.q.toFixed(1)})`);
+        } else if (info.regime === 'underdamped' && !twoBobs) {
+            parts.push('sim δ: fewer than 2 peaks');
+        }
+        document.getElementById('dampingDetails').textContent = parts.join(' · ');
+    }
+
+    updateStats(stats) {
+        if (stats.predictionPeriod !== undefined) document.getElementById('predictionPeriod').textContent = stats.predictionPeriod;
+        if (stats.currentAngle !== undefined) document.getElementById('currentAngle').textContent = stats.currentAngle;
+        if (stats.oscillationCount !== undefined) document.getElementById('oscillations').textContent = stats.oscillationCount;
+        if (stats.elapsedTime !== undefined) document.getElementById('elapsedTime').textContent = stats.elapsedTime;
+    }
+
+    startAnimation() {
+        this.isAnimating = true;
+        this.currentFrame = 0;
+        this.playbackTime = 0;
+        this.oscillationCount = 0;
+        this.oscillationFrames = this.findOscillationFrames(this.mlTrajectory || this.physicsData);
+        this.lastFrameMillis = this.sketch.millis();
+        this.sketch.loop();
+    }
+
+    stopAnimation() {
+        this.isAnimating = false;
+        this.sketch.noLoop();
+    }
+
+    debounceRunSimulation() {
+        if (this.debounceTimer) clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => {
+            // Only auto-run if the interaction is done AND if it has run once before
+            // Don't run during drag operations
+            if (!this.isBobDragging && !this.isLengthChanging && this.hasRunOnce) {
+                this.runSimulation();
+            }
+        }, 300);
+    }
+
+    /**
+     * Angular velocity of the drag at release, from the samples within FLICK_WINDOW_MS of it.
+     * A bob held still before release (no recent samples) gives 0
+     * @param {number} now - p5 millis() at release
+     * @returns {number} ω in rad/s, with the same sign convention as θ
+     */
+    flickAngularVelocity(now) {
+        const recent = this.dragSamples.filter(sample => now - sample.time <= FLICK_WINDOW_MS);
+        if (recent.length < 2) return 0;
+        const first = recent[0];
+        const last = recent[recent.length - 1];
+        const dt = (last.time - first.time) / 1000;
+        return dt > 0 ? (last.angle - first.angle) / dt : 0;
+    }
+
+    /** Pixel geometry of the sketch: pivot position(s) and metres-to-pixels scale */
+    getSketchGeometry(p, params) {
+        if (params.pendulumType === 'double') {
+            // The lower bob can swing above the pivot, so centre the pivot and fit the full reach
+            const reach = params.length_m + params.length2_m;
+            return { originX: p.width / 2, originY: p.height / 2, scale: (p.height / 2 - 20) / reach, pivot2X: null };
+        }
+
+        const scale = this.maxL_vis / 2.0;
+        if (params.pendulumType === 'coupled') {
+            const separation = window.mlPendulum.secondPivotOffset(params) * scale;
+            const originX = p.width / 2 - separation / 2;
+            return { originX, originY: this.originY, scale, pivot2X: originX + separation };
+        }
+        return { originX: p.width / 2, originY: this.originY, scale, pivot2X: null };
+    }
+
+    /** Pixel positions of every bob for one state ({ theta, theta2 }) */
+    getBobPositions(state, params, geom) {
+        const { originX, originY, scale } = geom;
+        const bob1 = {
+            x: originX + params.length_m * scale * Math.sin(state.theta),
+            y: originY + params.length_m * scale * Math.cos(state.theta)
+        };
+        if (params.pendulumType === 'simple') return [bob1];
+
+        const anchor = params.pendulumType === 'double' ? bob1 : { x: geom.pivot2X, y: originY };
+        const bob2 = {
+            x: anchor.x + params.length2_m * scale * Math.sin(state.theta2),
+            y: anchor.y + params.length2_m * scale * Math.cos(state.theta2)
+        };
+        return [bob1, bob2];
+    }
+
+    // P5.js setup for visualization
+    initP5Sketch() {
+        const sketch = (p) => {
+            const container = document.getElementById('p5Sketch');
+            let canvasWidth = container.clientWidth;
+            let canvasHeight = 300;
+
+            const deg2rad = window.mlPendulum.deg2rad;
+            const rad2deg = window.mlPendulum.rad2deg;
+
+            p.setup = () => {
+                p.createCanvas(canvasWidth, canvasHeight).parent('p5Sketch');
+                p.angleMode(p.RADIANS);
+                p.frameRate(60);
+                p.noLoop();
+
+                this.originY = 20;
+                this.maxL_vis = canvasHeight - 50;
+            };
 
             p.windowResized = () => {
                 canvasWidth = container.clientWidth;
@@ -524,15 +2478,14 @@ class PendulumExperiment {
             // Replace the p.mousePressed function (around line 458-481)
 
             p.mousePressed = () => {
-                const originX = p.width / 2;
-                const inputLengthMeters = this.getInputValue('length-m');
-                const theta = deg2rad(this.getInputValue('initialAngle-deg'));
-                const L_vis = (inputLengthMeters / 2.0) * this.maxL_vis;
-
-                const bobX = originX + L_vis * Math.sin(theta);
-                const bobY = this.originY + L_vis * Math.cos(theta);
+                const simParams = this.getSimParameters();
+                const geom = this.getSketchGeometry(p, simParams);
+                const [bob] = this.getBobPositions({
+                    theta: deg2rad(simParams.initialAngle_deg),
+                    theta2: deg2rad(simParams.initialAngle2_deg)
+                }, simParams, geom);
 
-                const distanceToBob = p.dist(p.mouseX, p.mouseY, bobX, bobY);
+                const distanceToBob = p.dist(p.mouseX, p.mouseY, bob.x, bob.y);
 
                 // Only start dragging if clicking near the bob (within 28px)
                 if (distanceToBob < 28) {
@@ -543,6 +2496,7 @@ class PendulumExperiment {
                     } else {
                         this.isBobDragging = true;
                         this.isLengthChanging = false;
+                        this.dragSamples = [];
                     }
 
                     // Pause animation during drag
@@ -556,30 +2510,30 @@ class PendulumExperiment {
             }
 
             // Update the p.mouseDragged function:
+            // A plain drag sets the signed release angle; Shift/Ctrl-drag sets only the length
             p.mouseDragged = () => {
-                if (this.isBobDragging) {
-                    const originX = p.width / 2;
-
-                    // Calculate angle from mouse position
-                    const dx = p.mouseX - originX;
-                    const dy = p.mouseY - this.originY;
+                if (!this.isBobDragging && !this.isLengthChanging) return;
+                const { originX, originY, scale } = this.getSketchGeometry(p, this.getSimParameters());
+                const dx = p.mouseX - originX;
+                const dy = p.mouseY - originY;
 
-                    let newAngleRad = p.atan2(dx, dy);
-                    const maxAngleRad = deg2rad(60);
-                    newAngleRad = p.constrain(newAngleRad, -maxAngleRad, maxAngleRad);
-                    const newAngleDeg = Math.abs(rad2deg(newAngleRad));
+                if (this.isBobDragging) {
+                    // atan2(dx, dy) is 0 straight down and ±180° straight up; keep just short of the top
+                    const newAngleDeg = p.constrain(rad2deg(p.atan2(dx, dy)), -MAX_DRAG_ANGLE_DEG, MAX_DRAG_ANGLE_DEG);
 
-                    // Update angle
                     const angle_input = document.getElementById('initialAngle-deg');
                     angle_input.value = newAngleDeg.toFixed(0);
                     angle_input.dispatchEvent(new Event('input'));
 
-                    // Calculate and update length from mouse distance to origin
-                    const distanceFromOrigin = p.dist(p.mouseX, p.mouseY, originX, this.originY);
-                    const newL_vis = p.max(50, p.min(distanceFromOrigin, this.maxL_vis));
-                    const newLengthMeters = (newL_vis / this.maxL_vis) * 2.0;
-
+                    // Recent samples for the flick velocity, unrounded so slow drags don't read as steps
+                    const now = p.millis();
+                    this.dragSamples.push({ time: now, angle: deg2rad(newAngleDeg) });
+                    while (this.dragSamples.length > 2 && now - this.dragSamples[0].time > FLICK_WINDOW_MS) {
+                        this.dragSamples.shift();
+                    }
+                } else {
                     const L_input = document.getElementById('length-m');
+                    const newLengthMeters = p.dist(p.mouseX, p.mouseY, originX, originY) / scale;
                     const clampedLength = p.constrain(newLengthMeters, parseFloat(L_input.min), parseFloat(L_input.max));
                     L_input.value = clampedLength.toFixed(2);
                     L_input.dispatchEvent(new Event('input'));
@@ -588,24 +2542,32 @@ class PendulumExperiment {
 
             // Update the p.mouseReleased function:
             p.mouseReleased = () => {
-                if (this.isBobDragging) {
-                    this.isBobDragging = false;
-
-                    // Re-run simulation with new parameters
-                    // If it was paused before drag, keep it paused after
-                    this.runSimulation().then(() => {
-                        if (!this.wasAnimatingBeforeDrag) {
-                            // Was paused before, so pause again immediately
-                            setTimeout(() => {
-                                this.pauseAnimation();
-                                const pauseBtn = document.getElementById('pauseBtn');
-                                pauseBtn.textContent = 'Resume';
-                                pauseBtn.classList.add('paused');
-                            }, 50);
-                        }
-                        // Otherwise, it will auto-play from runSimulation
-                    });
+                if (!this.isBobDragging && !this.isLengthChanging) return;
+
+                if (this.isBobDragging && document.getElementById('flickMode').checked) {
+                    const omega_input = document.getElementById('initialOmega');
+                    const omega = this.flickAngularVelocity(p.millis());
+                    omega_input.value = p.constrain(omega, parseFloat(omega_input.min), parseFloat(omega_input.max)).toFixed(1);
+                    omega_input.dispatchEvent(new Event('input'));
                 }
+                this.isBobDragging = false;
+                this.isLengthChanging = false;
+                this.dragSamples = [];
+
+                // Re-run simulation with new parameters
+                // If it was paused before drag, keep it paused after
+                this.runSimulation().then(() => {
+                    if (!this.wasAnimatingBeforeDrag) {
+                        // Was paused before, so pause again immediately
+                        setTimeout(() => {
+                            this.pauseAnimation();
+                            const pauseBtn = document.getElementById('pauseBtn');
+                            pauseBtn.textContent = 'Resume';
+                            pauseBtn.classList.add('paused');
+                        }, 50);
+                    }
+                    // Otherwise, it will auto-play from runSimulation
+                });
             }
 
 
@@ -616,8 +2578,11 @@ class PendulumExperiment {
 
                 const simParams = this.getSimParameters();
                 const inputLengthMeters = simParams.length_m;
+                // ML mode animates the trajectory model's prediction when there is one
+                const animationData = this.mlTrajectory || this.physicsData;
+                const dragging = this.isBobDragging || this.isLengthChanging;
 
-                if (!this.physicsData.length && !this.isBobDragging) {
+                if (!this.physicsData.length && !dragging) {
                     p.fill(150);
                     p.textAlign(p.CENTER, p.CENTER);
                     p.textSize(16);
@@ -628,63 +2593,99 @@ class PendulumExperiment {
                 let theta;
                 let dataPoint;
 
-                if (this.isBobDragging) {
+                if (dragging) {
                     theta = deg2rad(simParams.initialAngle_deg);
-                    dataPoint = { t: 0, theta: theta, omega: 0 };
+                    dataPoint = { t: 0, theta: theta, omega: simParams.initialOmega, theta2: deg2rad(simParams.initialAngle2_deg), omega2: 0 };
                     if (this.physicsData.length > 0) {
                         this.physicsData[0] = dataPoint;
                     }
                 } else if (this.physicsData.length > 0) {
-                    const elapsedWallTime = (p.millis() - this.startTime) / 1000;
-                    const simIndex = Math.floor(elapsedWallTime / simTimeStep);
-
-                    this.currentFrame = simIndex;
+                    // Paused, stepping or scrubbing: draw currentFrame as it is
+                    if (this.isAnimating) this.advancePlayback(p.millis());
 
-                    if (this.currentFrame >= this.physicsData.length) {
-                        this.currentFrame = this.physicsData.length - 1;
-                        this.stopAnimation();
-                    }
-                    dataPoint = this.physicsData[this.currentFrame];
+                    dataPoint = animationData[this.currentFrame];
                     theta = dataPoint.theta;
                     this.elapsedTime = dataPoint.t;
+
+                    if (p.frameCount % CURSOR_EVERY_N_FRAMES === 0 || !this.isAnimating) {
+                        this.updateChartCursor(this.currentFrame);
+                        this.updateScrubber();
+                    }
                 } else {
                     theta = deg2rad(simParams.initialAngle_deg);
-                    dataPoint = { t: 0, theta: theta, omega: 0 };
+                    dataPoint = { t: 0, theta: theta, omega: simParams.initialOmega, theta2: deg2rad(simParams.initialAngle2_deg), omega2: 0 };
                 }
 
-                const originX = p.width / 2;
-                const L_vis = (inputLengthMeters / 2.0) * this.maxL_vis;
+                const geom = this.getSketchGeometry(p, simParams);
+                const { originX, originY } = geom;
+                const bobs = this.getBobPositions(dataPoint, simParams, geom);
+                const { x: bobX, y: bobY } = bobs[0];
 
-                const bobX = originX + L_vis * Math.sin(theta);
-                const bobY = this.originY + L_vis * Math.cos(theta);
-
-                if (!this.isBobDragging && this.physicsData.length > 0) {
+                if (!dragging && this.physicsData.length > 0) {
                     const currentAngleDeg = rad2deg(theta);
-                    if (this.lastAngle < 0 && currentAngleDeg >= 0) {
-                        this.crossedZero = true;
-                    }
-                    if (this.crossedZero && this.lastAngle > 0 && currentAngleDeg <= 0) {
-                        this.oscillationCount += 0.5;
-                        this.crossedZero = false;
-                    }
-                    this.lastAngle = currentAngleDeg;
+                    // Counted from the frame, so stepping and scrubbing backwards stay correct
+                    this.oscillationCount = this.oscillationFrames.filter(frame => frame <= this.currentFrame).length;
 
                     this.updateStats({
                         currentAngle: `${currentAngleDeg.toFixed(1)}°`,
-                        oscillationCount: Math.floor(this.oscillationCount),
+                        oscillationCount: this.oscillationCount,
                         elapsedTime: this.elapsedTime.toFixed(2) + ' s'
                     });
                 }
 
-                // Pivot point
+                // Trail of the lowest bob in the chain over the last few seconds
+                if (!dragging && this.physicsData.length > 0) {
+                    const trailStart = Math.max(0, this.currentFrame - TRAIL_FRAMES);
+                    p.noFill();
+                    p.stroke(255, 152, 0, 120);
+                    p.strokeWeight(1.5);
+                    p.beginShape();
+                    for (let i = trailStart; i <= this.currentFrame; i += 2) {
+                        const trailBobs = this.getBobPositions(animationData[i], simParams, geom);
+                        const last = trailBobs[trailBobs.length - 1];
+                        p.vertex(last.x, last.y);
+                    }
+                    p.endShape();
+                }
+
+                // Pivot point(s)
                 p.fill(50);
                 p.noStroke();
-                p.circle(originX, this.originY, 8);
+                p.circle(originX, originY, 8);
+                if (simParams.pendulumType === 'coupled') {
+                    p.circle(geom.pivot2X, originY, 8);
+                }
 
                 // String
                 p.stroke(150);
                 p.strokeWeight(1.5);
-                p.line(originX, this.originY, bobX, bobY);
+                p.line(originX, originY, bobX, bobY);
+
+                // Second bob: hangs from bob 1 (double) or its own pivot with a spring to bob 1 (coupled)
+                if (bobs.length > 1) {
+                    const bob2 = bobs[1];
+                    const anchorX = simParams.pendulumType === 'double' ? bobX : geom.pivot2X;
+                    const anchorY = simParams.pendulumType === 'double' ? bobY : originY;
+                    p.line(anchorX, anchorY, bob2.x, bob2.y);
+
+                    if (simParams.pendulumType === 'coupled') {
+                        this.drawSpring(p, bobX, bobY, bob2.x, bob2.y);
+                    }
+
+                    p.fill(255, 152, 0);
+                    p.stroke(80);
+                    p.strokeWeight(2);
+                    p.circle(bob2.x, bob2.y, 22);
+                }
+
+                // Ghost of the physics solution, so the ML trajectory can be compared with it
+                if (this.mlTrajectory && !dragging) {
+                    const [ghost] = this.getBobPositions(this.physicsData[this.currentFrame], simParams, geom);
+                    p.noFill();
+                    p.stroke(76, 175, 80, 160);
+                    p.strokeWeight(2);
+                    p.circle(ghost.x, ghost.y, 28);
+                }
 
                 // Bob
                 const progress = this.physicsData.length ? (this.currentFrame / this.physicsData.length) : 0;
@@ -701,18 +2702,18 @@ class PendulumExperiment {
                 p.circle(bobX, bobY, 28);
 
                 // Visual cue when dragging
-                if (this.isBobDragging) {
+                if (dragging) {
                     p.fill(102, 126, 234, 100);
                     p.noStroke();
                     p.circle(bobX, bobY, 40);
                     p.textAlign(p.CENTER, p.CENTER);
                     p.fill(102, 126, 234);
                     p.textSize(12);
-                    // Show "Drag to Adjust" at 40px from bob, along the current angle
+                    // Show what the drag adjusts at 40px from bob, along the current angle
                     const dragLabelRadius = 40;
                     const labelX = bobX + dragLabelRadius * Math.sin(theta);
                     const labelY = bobY + dragLabelRadius * Math.cos(theta);
-                    p.text("Drag to Adjust", labelX, labelY);
+                    p.text(this.isLengthChanging ? "Length" : "Angle", labelX, labelY);
                 }
 
                 // Labels
@@ -722,8 +2723,9 @@ class PendulumExperiment {
                 p.textAlign(p.CENTER);
 
                 const modeText = this.currentMode === 'formula' ? 'Formula-Based' : 'ML Model';
+                const typeText = simParams.pendulumType === 'simple' ? '' : ` | ${simParams.pendulumType === 'double' ? 'Double' : 'Coupled'}`;
                 const statusText = this.isAnimating ? 'Playing' : 'Paused';
-                p.text(`${modeText} | ${statusText} | Length: ${inputLengthMeters.toFixed(2)} m | Angle: ${simParams.initialAngle_deg.toFixed(0)}°`, originX, p.height - 10);
+                p.text(`${modeText}${typeText} | ${statusText} | Length: ${inputLengthMeters.toFixed(2)} m | Angle: ${simParams.initialAngle_deg.toFixed(0)}°`, originX, p.height - 10);
             };
 
             this.sketch = p;
@@ -731,6 +2733,28 @@ class PendulumExperiment {
 
         new p5(sketch, 'p5Sketch');
     }
+
+    /** Zig-zag spring between two points (coupled pendulums) */
+    drawSpring(p, x1, y1, x2, y2, coils = 8) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const length = Math.hypot(dx, dy) || 1;
+        const nx = -dy / length;
+        const ny = dx / length;
+
+        p.noFill();
+        p.stroke(120);
+        p.strokeWeight(1.5);
+        p.beginShape();
+        p.vertex(x1, y1);
+        for (let i = 1; i < coils * 2; i++) {
+            const f = i / (coils * 2);
+            const side = i % 2 === 0 ? -6 : 6;
+            p.vertex(x1 + dx * f + nx * side, y1 + dy * f + ny * side);
+        }
+        p.vertex(x2, y2);
+        p.endShape();
+    }
 }
 
 // Global initialization
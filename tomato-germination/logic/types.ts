@@ -12,7 +12,7 @@ export type PhenologyStage =
   | "ripening";
 
 export interface TomatoParams {
-  // Environment (daily-averaged scalar controls — frontend may allow daily arrays later)
+  // Environment (daily-averaged scalar controls, as sim.ts reads them; the JS port in ml-tomato.js also takes daily arrays)
   avgTempC: number;         // °C
   soilMoisturePct: number;  // 0..100
   sunlightHours: number;    // 0..14
@@ -1,6 +1,7 @@
 /**
  * Tomato Plant Growth Simulation - ML & Physics Logic
- * Converted from TypeScript (sim.ts, helpers.ts, ai.ts, types.ts)
+ * Converted from TypeScript (sim.ts, helpers.ts, ai.ts, types.ts); this port has since moved ahead of them with
+ * daily weather, day/night temperatures and stress, the soil balance and care schedule, varieties and noise
  * 
  * Core Features:
  * - GDD-based phenology simulation (90 days)
@@ -23,6 +24,71 @@ const NORMALIZATION_NAME = "tomato-normalization";
 // Base temperature for tomato growth (°C)
 const T_BASE = 10.0;
 
+// Upper threshold for modified GDD (°C): heat above this adds no extra development
+const T_UPPER = 30.0;
+
+// Flowers start failing to set fruit when the day's high passes HEAT_STRESS_C or the night's low drops below COLD_STRESS_C
+const HEAT_STRESS_C = 32;
+const COLD_STRESS_C = 10;
+
+// The daily weather drivers; each may be one number for every day or an array with one value per day
+const WEATHER_KEYS = ['avgTempC', 'minTempC', 'maxTempC', 'soilMoisturePct', 'sunlightHours'];
+
+/**
+ * Variety profiles. stageGDD is the cumulative GDD at which each stage starts; maxFruit caps the fruit count and
+ * fruitSetRate scales how fast fruit sets (1 = the original rates); fruitSizeG is one ripe fruit's mass.
+ * 'indeterminate' is the original calibration and the default
+ */
+const VARIETIES = {
+    // Vining beefsteak types: keep growing and flowering until frost
+    indeterminate: {
+        label: 'Indeterminate',
+        habit: 'vining',
+        stageGDD: { seedling: 50, vegetative: 200, flowering: 400, fruit_set: 700, fruit_development: 1000, ripening: 1300 },
+        maxHeightCm: 150,
+        maxFruit: 30,
+        fruitSetRate: 1,
+        fruitSizeG: 150
+    },
+    // Bush types: stop at a flower truss, so they are short and ripen their crop earlier, all at once
+    determinate: {
+        label: 'Determinate',
+        habit: 'bushy',
+        stageGDD: { seedling: 50, vegetative: 180, flowering: 340, fruit_set: 580, fruit_development: 820, ripening: 1050 },
+        maxHeightCm: 90,
+        maxFruit: 24,
+        fruitSetRate: 2,
+        fruitSizeG: 180
+    },
+    // Vigorous vines with long trusses of small fruit
+    cherry: {
+        label: 'Cherry',
+        habit: 'vining',
+        stageGDD: { seedling: 50, vegetative: 190, flowering: 360, fruit_set: 620, fruit_development: 880, ripening: 1100 },
+        maxHeightCm: 180,
+        maxFruit: 90,
+        fruitSetRate: 3,
+        fruitSizeG: 15
+    }
+};
+
+// Nutrient index the plant takes up per unit of biomass it grows (a typical season uses about 50)
+const N_UPTAKE_PER_BIOMASS = 200;
+
+// Field capacity (soil moisture %): water above it drains out of the root zone, this share of the excess each night
+const FIELD_CAPACITY_PCT = 70;
+const DRAINAGE_RATE = 0.5;
+
+// Header patterns (tested against the lowercased header) for each column of an uploaded weather CSV
+const WEATHER_COLUMNS = {
+    day: /^day\b|^day_/,
+    avgTempC: /^(?!.*(min|max|low|high)).*temp/,
+    minTempC: /t[ _]?min|min[ _]?temp|temp[ _]?min|low/,
+    maxTempC: /t[ _]?max|max[ _]?temp|temp[ _]?max|high/,
+    soilMoisturePct: /moist|water/,
+    sunlightHours: /sun|light/
+};
+
 // ============================================================================
 // HELPER FUNCTIONS (from helpers.ts)
 // ============================================================================
@@ -41,6 +107,51 @@ function mulberry32(seed) {
     };
 }
 
+/**
+ * Standard normal random number (Box-Muller)
+ * @param {function(): number} rng - Uniform generator, e.g. from mulberry32
+ * @returns {number} Sample with mean 0 and standard deviation 1
+ */
+function gaussian(rng) {
+    const u = 1 - rng(); // (0, 1], safe for log
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+/**
+ * Percentile of sorted values, interpolating between neighbours
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} q - Fraction (0-1), e.g. 0.05 for the 5th percentile
+ * @returns {number} The percentile
+ */
+function percentile(sorted, q) {
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.min(sorted.length - 1, lo + 1);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Value of a weather driver on a given day
+ * @param {number|Array<number>} value - One value for every day, or one per day starting at day 1 (the last one repeats)
+ * @param {number} day - Day number (1-based)
+ * @returns {number} The driver's value that day
+ */
+function driverOnDay(value, day) {
+    if (!Array.isArray(value)) return value;
+    return value[Math.min(day, value.length) - 1];
+}
+
+/**
+ * Whether a scheduled care event happens on a given day
+ * @param {{day: number, every?: number}} event - First day, and optionally a repeat interval in days
+ * @param {number} day - Day number (1-based)
+ * @returns {boolean} True on the first day and, if it repeats, every `every` days after
+ */
+function eventOnDay(event, day) {
+    if (day === event.day) return true;
+    return event.every > 0 && day > event.day && (day - event.day) % event.every === 0;
+}
+
 /**
  * Calculate daily Growing Degree Days (GDD)
  * GDD = max(0, T_avg - T_base)
@@ -52,6 +163,35 @@ function dailyGDD(Tavg, Tbase = T_BASE) {
     return Math.max(0, Tavg - Tbase);
 }
 
+/**
+ * Modified Growing Degree Days: the day's high and low are held between Tbase and Tupper before averaging,
+ * so heat past the upper threshold adds no extra development
+ * GDD = (clamp(Tmax) + clamp(Tmin)) / 2 - Tbase
+ * @param {number} Tmin - Night's low (°C)
+ * @param {number} Tmax - Day's high (°C)
+ * @param {number} Tbase - Base temperature for growth (default 10°C)
+ * @param {number} Tupper - Upper threshold (default 30°C)
+ * @returns {number} Daily GDD value
+ */
+function modifiedGDD(Tmin, Tmax, Tbase = T_BASE, Tupper = T_UPPER) {
+    const clamp = (T) => Math.min(Tupper, Math.max(Tbase, T));
+    return (clamp(Tmax) + clamp(Tmin)) / 2 - Tbase;
+}
+
+/**
+ * Heat or cold stress on the flowers from one day's extremes
+ * @param {number} Tmin - Night's low (°C)
+ * @param {number} Tmax - Day's high (°C)
+ * @returns {{type: string|null, severity: number}} 'heat', 'cold' or null, and how much of the day's
+ *   fruit set is lost (0-1; full loss 6°C past the threshold)
+ */
+function temperatureStress(Tmin, Tmax) {
+    const heat = Math.min(1, Math.max(0, (Tmax - HEAT_STRESS_C) / 6));
+    const cold = Math.min(1, Math.max(0, (COLD_STRESS_C - Tmin) / 6));
+    if (heat === 0 && cold === 0) return { type: null, severity: 0 };
+    return heat >= cold ? { type: 'heat', severity: heat } : { type: 'cold', severity: cold };
+}
+
 /**
  * Soil moisture effect multiplier (optimal ~60%)
  * @param {number} m - Soil moisture percentage (0-100)
@@ -97,13 +237,38 @@ function pestMultiplier(p) {
     return 1.0 - (p / 10) * 0.3;
 }
 
+/**
+ * Soil water lost to evapotranspiration in one day (a simplified Hargreaves-style estimate)
+ * @param {number} tempC - Average temperature (°C)
+ * @param {number} sunHours - Sunlight hours
+ * @param {number} leafCount - Leaves so far; a leafier plant transpires more
+ * @param {number} moisturePct - Soil moisture before the loss (%); drier soil gives up water more slowly
+ * @returns {number} Moisture lost (percentage points)
+ */
+function evapotranspiration(tempC, sunHours, leafCount, moisturePct) {
+    const demand = 0.6 + 0.08 * Math.max(0, tempC - 5) * (0.5 + sunHours / 14);
+    const cropCoefficient = 0.4 + 0.6 * Math.min(1, leafCount / 40);
+    const supply = Math.min(1, moisturePct / 50);
+    return demand * cropCoefficient * supply;
+}
+
+/**
+ * Nutrients washed out of the root zone in one day; waterlogged soil leaches much faster
+ * @param {number} nPool - Nutrient index in the soil (0-100)
+ * @param {number} moisturePct - Soil moisture (%)
+ * @returns {number} Nutrient index lost
+ */
+function nutrientLeaching(nPool, moisturePct) {
+    return nPool * (moisturePct > 80 ? 0.01 : 0.002);
+}
+
 /**
  * Convert biomass to plant height using logistic growth curve
  * @param {number} biomass - Accumulated biomass (0-1)
- * @returns {number} Height in centimeters (0-150cm)
+ * @param {number} maxHeight - Variety's mature height in cm (default 150)
+ * @returns {number} Height in centimeters (0-maxHeight)
  */
-function biomassToHeightCm(biomass) {
-    const maxHeight = 150; // cm
+function biomassToHeightCm(biomass, maxHeight = 150) {
     const k = 4; // Growth rate
     return maxHeight * (1 - Math.exp(-k * biomass));
 }
@@ -123,19 +288,110 @@ function biomassToLeafCount(biomass) {
  * Determine phenology stage based on cumulative GDD
  * @param {number} GDDcum - Cumulative growing degree days
  * @param {boolean} germinated - Whether seed has germinated
+ * @param {Object} stageGDD - GDD at which each stage starts (a VARIETIES entry's stageGDD; default indeterminate)
  * @returns {string} Phenology stage
  */
-function stageFromGDD(GDDcum, germinated) {
+function stageFromGDD(GDDcum, germinated, stageGDD = VARIETIES.indeterminate.stageGDD) {
     if (!germinated) return "seed";
-    if (GDDcum < 50) return "germination";
-    if (GDDcum < 200) return "seedling";
-    if (GDDcum < 400) return "vegetative";
-    if (GDDcum < 700) return "flowering";
-    if (GDDcum < 1000) return "fruit_set";
-    if (GDDcum < 1300) return "fruit_development";
+    if (GDDcum < stageGDD.seedling) return "germination";
+    if (GDDcum < stageGDD.vegetative) return "seedling";
+    if (GDDcum < stageGDD.flowering) return "vegetative";
+    if (GDDcum < stageGDD.fruit_set) return "flowering";
+    if (GDDcum < stageGDD.fruit_development) return "fruit_set";
+    if (GDDcum < stageGDD.ripening) return "fruit_development";
     return "ripening";
 }
 
+// ============================================================================
+// DAILY WEATHER
+// ============================================================================
+
+const dayWave = (day, periodDays) => Math.sin((2 * Math.PI * day) / periodDays);
+
+/**
+ * Built-in seasonal profiles: day(d) gives the drivers on day d.
+ * These are smooth idealised seasons, not records from any one place
+ */
+const WEATHER_PROFILES = {
+    // Warms from 14°C to about 26°C over 90 days, with a weather front roughly every week
+    spring: day => {
+        const f = Math.min(1, (day - 1) / 89);
+        return {
+            avgTempC: 14 + 12 * f + 2 * dayWave(day, 7),
+            soilMoisturePct: 65 - 15 * f + 8 * dayWave(day, 11),
+            sunlightHours: 10 + 3 * f
+        };
+    },
+    // A steady summer with a heatwave peaking on day 45, when the plant is usually flowering
+    heatwave: day => {
+        const wave = Math.exp(-(((day - 45) / 6) ** 2));
+        return {
+            avgTempC: 26 + 2 * dayWave(day, 9) + 11 * wave,
+            soilMoisturePct: 55 - 30 * wave,
+            sunlightHours: 12 + 2 * wave
+        };
+    },
+    // Hot and dry until the rains set in around day 30; they ease off after day 100
+    monsoon: day => {
+        const rain = 1 / (1 + Math.exp(-(day - 30) / 3)) / (1 + Math.exp((day - 100) / 5));
+        return {
+            avgTempC: 30 - 3 * rain + 1.5 * dayWave(day, 5),
+            soilMoisturePct: 40 + 50 * rain,
+            sunlightHours: 11 - 6 * rain + 1.5 * rain * dayWave(day, 4) // breaks in the cloud
+        };
+    }
+};
+
+/**
+ * Daily weather arrays for a built-in profile
+ * @param {string} name - Key of WEATHER_PROFILES ('spring', 'heatwave' or 'monsoon')
+ * @param {number} days - Number of days
+ * @returns {{avgTempC: Array<number>, soilMoisturePct: Array<number>, sunlightHours: Array<number>}} One value per day
+ */
+function weatherProfile(name, days) {
+    const profile = WEATHER_PROFILES[name];
+    if (!profile) throw new Error(`Unknown weather profile: ${name}`);
+
+    const weather = { avgTempC: [], soilMoisturePct: [], sunlightHours: [] };
+    for (let day = 1; day <= days; day++) {
+        const today = profile(day);
+        weather.avgTempC.push(parseFloat(today.avgTempC.toFixed(1)));
+        weather.soilMoisturePct.push(parseFloat(Math.min(100, Math.max(0, today.soilMoisturePct)).toFixed(1)));
+        weather.sunlightHours.push(parseFloat(Math.min(14, Math.max(0, today.sunlightHours)).toFixed(1)));
+    }
+    return weather;
+}
+
+/**
+ * Daily weather arrays from a parsed CSV ({columns, rows}, one row per day).
+ * Rows are sorted by a day column if there is one; drivers without a column are left out
+ * @param {{columns: Array<string>, rows: Array<Object>}} table - Parsed CSV
+ * @returns {Object} Some of { avgTempC, soilMoisturePct, sunlightHours }, each an array with one value per day
+ */
+function weatherFromTable(table) {
+    const find = (pattern) => table.columns.find(c => pattern.test(c.toLowerCase()));
+    const number = (v) => (typeof v === 'number' ? v : parseFloat(v));
+    if (table.rows.length === 0) throw new Error('The file has a header but no days.');
+
+    const dayCol = find(WEATHER_COLUMNS.day);
+    const rows = dayCol ? [...table.rows].sort((a, b) => number(a[dayCol]) - number(b[dayCol])) : table.rows;
+
+    const weather = {};
+    WEATHER_KEYS.forEach(key => {
+        const col = find(WEATHER_COLUMNS[key]);
+        if (!col) return;
+        const values = rows.map(r => number(r[col]));
+        if (values.some(v => !Number.isFinite(v))) {
+            throw new Error(`Column "${col}" has a blank or non-numeric value.`);
+        }
+        weather[key] = values;
+    });
+    if (Object.keys(weather).length === 0) {
+        throw new Error('Expected a temperature, soil moisture or sunlight column.');
+    }
+    return weather;
+}
+
 // ============================================================================
 // SIMULATION LOGIC (from sim.ts)
 // ============================================================================
@@ -143,45 +399,119 @@ function stageFromGDD(GDDcum, germinated) {
 /**
  * Simulate tomato plant growth over specified days
  * @param {Object} params - Simulation parameters
- * @param {number} params.avgTempC - Average daily temperature (°C)
- * @param {number} params.soilMoisturePct - Soil moisture percentage
- * @param {number} params.sunlightHours - Sunlight hours per day
+ * @param {number|Array<number>} params.avgTempC - Average daily temperature (°C), or one per day (see driverOnDay);
+ *   stands in for the low and high when those are not given
+ * @param {number|Array<number>} [params.minTempC] - Night's low (°C), or one per day
+ * @param {number|Array<number>} [params.maxTempC] - Day's high (°C), or one per day
+ * @param {number|Array<number>} params.soilMoisturePct - Soil moisture percentage, or one per day
+ * @param {number|Array<number>} params.sunlightHours - Sunlight hours per day, or one per day
  * @param {number} params.soilN - Soil nutrient index (0-100)
  * @param {number} params.pestPressure - Pest pressure (0-10)
  * @param {number} params.days - Number of days to simulate
+ * @param {string} [params.variety='indeterminate'] - Key of VARIETIES
+ * @param {number} [params.weatherNoise=0] - Day-to-day weather noise on top of the drivers (1 = typical: temperature
+ *   σ 1.5°C, sunlight σ 1.5 h, moisture σ 4 points, running in spells of a few days)
+ * @param {number} [params.plantVariation=0] - Plant-to-plant variation in growth (σ 10% at 1), germination and fruit
+ *   set (σ 15% at 1)
+ * @param {number} [params.randomSeed=1] - Seed for both kinds of noise; the same seed always gives the same season
+ * @param {boolean} [params.dynamicSoil=false] - Run a soil water and nutrient balance instead of holding both fixed:
+ *   soilN and a constant soilMoisturePct become the day-1 values (a daily soilMoisturePct is rain that wets the soil
+ *   to at least that level), water is lost to evapotranspiration and N to uptake and leaching
+ * @param {Array<{day: number, type: string, amount: number, every?: number}>} [params.events=[]] - Care schedule for
+ *   dynamicSoil: 'water' adds moisture percentage points, 'fertilise' adds to the nutrient index, at the start of the
+ *   given day (and every `every` days after, see eventOnDay)
  * @returns {Array<Object>} Array of daily plant states
  */
 function simulateTomato(params) {
     const {
         avgTempC,
+        minTempC = avgTempC,
+        maxTempC = avgTempC,
         soilMoisturePct,
         sunlightHours,
         soilN,
         pestPressure,
-        days
+        days,
+        dynamicSoil = false,
+        events = [],
+        variety = 'indeterminate',
+        weatherNoise = 0,
+        plantVariation = 0,
+        randomSeed = 1
     } = params;
 
+    const profile = VARIETIES[variety];
+    if (!profile) throw new Error(`Unknown tomato variety: ${variety}`);
+    const { maxFruit, fruitSetRate } = profile;
+
+    // Randomness (off unless weatherNoise or plantVariation is set). This plant's vigour is drawn first,
+    // then the weather anomalies day by day, so a seed reproduces the whole season
+    const rng = mulberry32(randomSeed);
+    const vigour = (sd) => (plantVariation > 0 ? Math.max(0.3, 1 + sd * plantVariation * gaussian(rng)) : 1);
+    const growthVigour = vigour(0.10);
+    const germinationVigour = vigour(0.15);
+    const fruitSetVigour = vigour(0.15);
+    const anomaly = { temp: 0, sun: 0, moisture: 0 };
+
+    // Soil state (only carried from day to day when dynamicSoil is on)
+    let soilWater = driverOnDay(soilMoisturePct, 1);
+    let soilNPool = soilN;
+
     // Initialize state variables
     let GDD_cum = 0;
     let biomass = 0;
     let germinatedPct = 0;
     let fruitCount = 0;
     let flowering = false;
+    let pollenViability = 1; // 0..1, lowered by heat/cold stress and recovering over about a week
 
     const results = [];
-    const growthRate = 0.05; // Base growth rate for logistic equation
+    const growthRate = 0.05 * growthVigour; // Base growth rate for logistic equation
 
     for (let day = 1; day <= days; day++) {
-        // 1. Calculate daily GDD
-        const GDD_today = dailyGDD(avgTempC);
+        // Today's weather noise: each anomaly keeps 70% of yesterday's, so warm or dull days come in spells
+        if (weatherNoise > 0) {
+            const spell = (previous, sd) => 0.7 * previous + 0.71 * sd * weatherNoise * gaussian(rng);
+            anomaly.temp = spell(anomaly.temp, 1.5);
+            anomaly.sun = spell(anomaly.sun, 1.5);
+            anomaly.moisture = spell(anomaly.moisture, 4);
+        }
+        const moistureOn = (d) => Math.min(100, Math.max(0, driverOnDay(soilMoisturePct, d) + anomaly.moisture));
+
+        // Today's weather
+        const tMin = driverOnDay(minTempC, day) + anomaly.temp;
+        const tMax = driverOnDay(maxTempC, day) + anomaly.temp;
+        const tempC = (tMin + tMax) / 2;
+        const sunHours = Math.min(14, Math.max(0, driverOnDay(sunlightHours, day) + anomaly.sun));
+
+        // Soil water and N: either today's inputs, or the running balance plus rain and today's care events
+        const care = [];
+        if (dynamicSoil) {
+            // Daily weather moisture is how wet rain leaves the soil; a single value is only the starting moisture
+            if (Array.isArray(soilMoisturePct)) soilWater = Math.max(soilWater, moistureOn(day));
+            events.filter(e => eventOnDay(e, day)).forEach(e => {
+                if (e.type === 'water') soilWater += e.amount;
+                if (e.type === 'fertilise') soilNPool += e.amount;
+                care.push(e.type);
+            });
+            soilWater = Math.min(100, soilWater); // the excess drains away
+            soilNPool = Math.min(100, soilNPool);
+        } else {
+            soilWater = moistureOn(day);
+        }
+        const moisturePct = soilWater;
+        const nutrientIndex = soilNPool;
+
+        // 1. Calculate daily GDD (modified method, capped at T_UPPER)
+        const GDD_today = modifiedGDD(tMin, tMax);
         GDD_cum += GDD_today;
 
         // 2. Germination progress (warm temp + moisture needed)
         if (germinatedPct < 100) {
             // Optimal germination: ~22°C temp, ~55% moisture
-            const tempFactor = Math.max(0, 1 - Math.abs(avgTempC - 22) / 15);
-            const moistFactor = Math.max(0, 1 - Math.abs(soilMoisturePct - 55) / 45);
-            const germinationRate = 15 * tempFactor * moistFactor; // ~15% per day optimal
+            const tempFactor = Math.max(0, 1 - Math.abs(tempC - 22) / 15);
+            const moistFactor = Math.max(0, 1 - Math.abs(moisturePct - 55) / 45);
+            const germinationRate = 15 * tempFactor * moistFactor * germinationVigour; // ~15% per day optimal
             germinatedPct = Math.min(100, germinatedPct + germinationRate);
         }
 
@@ -189,15 +519,16 @@ function simulateTomato(params) {
         const germinated = germinatedPct >= 5;
 
         // 3. Calculate environmental multipliers
-        const moisture_mult = moistureMultiplier(soilMoisturePct);
-        const light_mult = lightMultiplier(sunlightHours);
-        const nutrient_mult = nutrientMultiplier(soilN);
+        const moisture_mult = moistureMultiplier(moisturePct);
+        const light_mult = lightMultiplier(sunHours);
+        const nutrient_mult = nutrientMultiplier(nutrientIndex);
         const pest_mult = pestMultiplier(pestPressure);
 
         // 4. Effective GDD (modified by environmental factors)
         const effectiveGDD = GDD_today * moisture_mult * light_mult * nutrient_mult * pest_mult;
 
         // 5. Biomass accumulation (logistic growth)
+        const biomassBefore = biomass;
         if (germinated && effectiveGDD > 0) {
             // Logistic equation: dB/dt = r * B * (1 - B) * GDD_eff
             const deltaB = growthRate * biomass * (1 - biomass) * effectiveGDD * 0.01;
@@ -205,7 +536,7 @@ function simulateTomato(params) {
         }
 
         // 6. Determine phenology stage
-        const stage = stageFromGDD(GDD_cum, germinated);
+        const stage = stageFromGDD(GDD_cum, germinated, profile.stageGDD);
 
         // 7. Flowering trigger
         if (stage === "flowering" || stage === "fruit_set" ||
@@ -213,24 +544,28 @@ function simulateTomato(params) {
             flowering = true;
         }
 
+        // 7.5. Heat/cold stress damages pollen; stress while flowering still costs fruit once fruit set begins
+        const stress = temperatureStress(tMin, tMax);
+        pollenViability = 0.8 * pollenViability + 0.2 * (1 - stress.severity);
+
         // 8. Fruit production - FIXED: Reasonable fruit counts with better progression
         if (stage === "fruit_set" && flowering) {
             // Start fruit production more aggressively
-            const fruitPotential = biomass * effectiveGDD * 0.5; // Increased from 0.15
+            const fruitPotential = biomass * effectiveGDD * 0.5 * pollenViability * fruitSetRate * fruitSetVigour; // Increased from 0.15
             const newFruits = Math.floor(fruitPotential);
-            fruitCount = Math.min(30, fruitCount + newFruits); // Cap at 30 fruits
+            fruitCount = Math.min(maxFruit, fruitCount + newFruits); // Cap at the variety's fruit load
         }
 
         // 9. Fruit development continues with better rates
         if (stage === "fruit_development" && flowering) {
-            const additionalFruits = Math.floor(biomass * effectiveGDD * 0.3); // Increased from 0.08
-            fruitCount = Math.min(30, fruitCount + additionalFruits);
+            const additionalFruits = Math.floor(biomass * effectiveGDD * 0.3 * pollenViability * fruitSetRate * fruitSetVigour); // Increased from 0.08
+            fruitCount = Math.min(maxFruit, fruitCount + additionalFruits);
         }
 
         // 9.5. Ripening stage also produces final fruits
-        if (stage === "ripening" && flowering && fruitCount < 20) {
-            const ripeFruits = Math.floor(biomass * effectiveGDD * 0.2);
-            fruitCount = Math.min(30, fruitCount + ripeFruits);
+        if (stage === "ripening" && flowering && fruitCount < maxFruit * 2 / 3) {
+            const ripeFruits = Math.floor(biomass * effectiveGDD * 0.2 * pollenViability * fruitSetRate * fruitSetVigour);
+            fruitCount = Math.min(maxFruit, fruitCount + ripeFruits);
         }
 
         // 9.6. Pest damage on fruits (late stage)
@@ -238,20 +573,39 @@ function simulateTomato(params) {
             fruitCount = Math.max(0, Math.floor(fruitCount * (1 - pestPressure * 0.02)));
         }
         // 10. Convert biomass to observable metrics
-        const heightCm = biomassToHeightCm(biomass);
+        const heightCm = biomassToHeightCm(biomass, profile.maxHeightCm);
         const leafCount = biomassToLeafCount(biomass);
 
         // 11. Calculate health index (0-1)
-        const health_moisture = Math.min(1, soilMoisturePct / 100);
-        const health_light = Math.min(1, sunlightHours / 12);
-        const health_nutrients = Math.min(1, soilN / 100);
+        const health_moisture = Math.min(1, moisturePct / 100);
+        const health_light = Math.min(1, sunHours / 12);
+        const health_nutrients = Math.min(1, nutrientIndex / 100);
         const health_pests = Math.max(0, 1 - pestPressure / 10);
         const healthIndex = 0.55 * health_moisture + 0.2 * health_light +
             0.25 * health_nutrients - 0.03 * (10 - health_pests * 10);
 
+        // 11.5. Overnight soil losses (evapotranspiration, N uptake and leaching, drainage), felt from tomorrow
+        let ET_today = 0;
+        if (dynamicSoil) {
+            ET_today = evapotranspiration(tempC, sunHours, leafCount, soilWater);
+            soilWater = Math.max(0, soilWater - ET_today);
+            soilNPool = Math.max(0, soilNPool - N_UPTAKE_PER_BIOMASS * (biomass - biomassBefore) -
+                nutrientLeaching(soilNPool, soilWater));
+            soilWater -= Math.max(0, soilWater - FIELD_CAPACITY_PCT) * DRAINAGE_RATE;
+        }
+
         // 12. Store daily state
         results.push({
             day,
+            avgTempC: tempC,
+            minTempC: tMin,
+            maxTempC: tMax,
+            stress: stress.type,
+            soilMoisturePct: parseFloat(moisturePct.toFixed(1)),
+            sunlightHours: sunHours,
+            soilN: parseFloat(nutrientIndex.toFixed(1)),
+            ET_today: parseFloat(ET_today.toFixed(2)),
+            care,
             stage,
             GDD_today: parseFloat(GDD_today.toFixed(2)),
             GDD_cum: parseFloat(GDD_cum.toFixed(2)),
@@ -259,7 +613,7 @@ function simulateTomato(params) {
             heightCm: parseFloat(heightCm.toFixed(2)),
             leafCount,
             flowering,
-            fruitCount: Math.max(0, Math.min(30, fruitCount)), // Clamp 0-30
+            fruitCount: Math.max(0, Math.min(maxFruit, fruitCount)), // Clamp 0-maxFruit
             healthIndex: parseFloat(Math.max(0, Math.min(1, healthIndex)).toFixed(3))
         });
     }
@@ -267,6 +621,38 @@ function simulateTomato(params) {
     return results;
 }
 
+/**
+ * Run the same season with many seeds and summarise the spread (Monte Carlo)
+ * @param {Object} params - simulateTomato parameters; set weatherNoise and/or plantVariation or every run is the same
+ * @param {number} runs - Number of seeds to run (default 50)
+ * @returns {{runs: number, seeds: Array<number>, days: Array<number>, heightCm: Object, fruitCount: Object}}
+ *   Seeds randomSeed, randomSeed + 1, ...; heightCm and fruitCount each hold p5, p50 and p95 arrays, one value per day
+ */
+function monteCarloTomato(params, runs = 50) {
+    const firstSeed = params.randomSeed ?? 1;
+    const seeds = Array.from({ length: runs }, (_, i) => firstSeed + i);
+    const series = seeds.map(randomSeed => simulateTomato({ ...params, randomSeed }));
+
+    const bands = (key) => {
+        const band = { p5: [], p50: [], p95: [] };
+        series[0].forEach((_, d) => {
+            const values = series.map(run => run[d][key]).sort((a, b) => a - b);
+            band.p5.push(percentile(values, 0.05));
+            band.p50.push(percentile(values, 0.5));
+            band.p95.push(percentile(values, 0.95));
+        });
+        return band;
+    };
+
+    return {
+        runs,
+        seeds,
+        days: series[0].map(state => state.day),
+        heightCm: bands('heightCm'),
+        fruitCount: bands('fruitCount')
+    };
+}
+
 /**
  * Generate synthetic dataset for ML training
  * @param {Object} spec - Generation specifications
@@ -585,6 +971,7 @@ function computeRMSE(yTrue, yPred) {
 window.mlTomato = {
     // Simulation
     simulateTomato,
+    monteCarloTomato,
     generateSyntheticTomatoDataset,
     toTrainSamples,
 
@@ -598,10 +985,26 @@ window.mlTomato = {
     loadModelIndexedDB,
     loadNormalizationIndexedDB,
 
+    // Weather
+    weatherProfile,
+    weatherFromTable,
+    driverOnDay,
+
+    // Varieties
+    VARIETIES,
+
+    // Soil
+    eventOnDay,
+    evapotranspiration,
+    nutrientLeaching,
+
     // Utilities
     dailyGDD,
+    modifiedGDD,
+    temperatureStress,
     stageFromGDD,
     computeRMSE,
+    percentile,
 
     // State access
     getModel: () => tomatoModel,
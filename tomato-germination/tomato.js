@@ -3,6 +3,29 @@
  * Timeline-driven, deterministic plant visualization
  */
 
+// Slider and value label for each simulation parameter
+const PARAM_INPUTS = {
+    minTempC: { id: 'inputMinTemp', valueId: 'valueMinTemp', unit: '°C' },
+    maxTempC: { id: 'inputMaxTemp', valueId: 'valueMaxTemp', unit: '°C' },
+    soilMoisturePct: { id: 'inputSoilMoisture', valueId: 'valueSoilMoisture', unit: '%' },
+    sunlightHours: { id: 'inputSunlight', valueId: 'valueSunlight', unit: ' hrs' },
+    soilN: { id: 'inputSoilN', valueId: 'valueSoilN', unit: '' },
+    pestPressure: { id: 'inputPestPressure', valueId: 'valuePestPressure', unit: '' },
+    days: { id: 'inputDays', valueId: 'valueDays', unit: '' },
+    weatherNoise: { id: 'inputWeatherNoise', valueId: 'valueWeatherNoise', unit: '×' },
+    plantVariation: { id: 'inputPlantVariation', valueId: 'valuePlantVariation', unit: '×' },
+    randomSeed: { id: 'inputSeed', valueId: 'valueSeed', unit: '' }
+};
+
+// Slider for the number of Monte Carlo seasons
+const MONTE_CARLO_RUNS_INPUT = 'inputMcRuns';
+
+// Slider for each ML training setting
+const ML_PARAM_INPUTS = {
+    targetDay: 'inputTargetDay',
+    epochs: 'inputEpochs'
+};
+
 class TomatoExperiment {
     constructor() {
         this.mode = 'formula';
@@ -22,29 +45,58 @@ class TomatoExperiment {
         this.simulationRunning = false;
 
         this.params = {
-            avgTempC: 24,
+            minTempC: 18,
+            maxTempC: 30,
             soilMoisturePct: 60,
             sunlightHours: 9,
             soilN: 60,
             pestPressure: 1,
-            days: 180
+            days: 180,
+            weatherNoise: 0,
+            plantVariation: 0,
+            randomSeed: 1
         };
 
         this.mlParams = {
             targetDay: 60,
             epochs: 40
         };
+
+        // Daily weather: 'constant' (the sliders), a mlTomato.weatherProfile name, or 'upload'
+        this.weatherSource = 'constant';
+        this.uploadedWeather = null;
+        this.driversChart = null;
+
+        // Variety chosen in the selector, and the one the run on screen used (ML predictions are indeterminate)
+        this.variety = 'indeterminate';
+        this.runVariety = 'indeterminate';
+
+        // Care schedule: soil water/N balance on or off, and watering/fertilising events ({type, day, amount, every})
+        this.dynamicSoil = false;
+        this.events = [];
+        this.soilChart = null;
+
+        // Monte Carlo: seasons per run, and the latest percentile bands (null while a single forecast is shown)
+        this.monteCarloRuns = 50;
+        this.monteCarlo = null;
     }
 
     init() {
         console.log('🍅 Initializing Tomato Experiment...');
         this.setupModeButtons();
         this.setupInputControls();
+        this.setupVariety();
+        this.setupWeather();
+        this.setupCareSchedule();
+        this.setupMonteCarlo();
         this.setupAnimationControls();
         this.setupAccordion();
         this.setupMLSection();
+        this.restoreUrlState();
         this.initP5();
         this.initChart();
+        this.initDriversChart();
+        this.initSoilChart();
         this.loadSavedModel();
         console.log('✅ Tomato Experiment initialized');
     }
@@ -63,6 +115,7 @@ class TomatoExperiment {
             modeHint.textContent = 'Using physics-based GDD simulation';
             mlSection.style.display = 'none';
             runSimBtn.textContent = '🚀 Run Simulation';
+            this.saveUrlState();
         });
 
         mlBtn.addEventListener('click', () => {
@@ -72,29 +125,40 @@ class TomatoExperiment {
             modeHint.textContent = 'Using machine learning predictions';
             mlSection.style.display = 'block';
             runSimBtn.textContent = '🤖 Run ML Prediction';
+            this.saveUrlState();
         });
     }
 
     setupInputControls() {
-        const inputs = {
-            avgTempC: { id: 'inputAvgTemp', valueId: 'valueAvgTemp', unit: '°C' },
-            soilMoisturePct: { id: 'inputSoilMoisture', valueId: 'valueSoilMoisture', unit: '%' },
-            sunlightHours: { id: 'inputSunlight', valueId: 'valueSunlight', unit: ' hrs' },
-            soilN: { id: 'inputSoilN', valueId: 'valueSoilN', unit: '' },
-            pestPressure: { id: 'inputPestPressure', valueId: 'valuePestPressure', unit: '' },
-            days: { id: 'inputDays', valueId: 'valueDays', unit: '' }
-        };
-
-        Object.entries(inputs).forEach(([param, config]) => {
+        Object.entries(PARAM_INPUTS).forEach(([param, config]) => {
             const input = document.getElementById(config.id);
             const valueDisplay = document.getElementById(config.valueId);
             input.addEventListener('input', (e) => {
                 const value = parseFloat(e.target.value);
                 this.params[param] = value;
                 valueDisplay.textContent = value + config.unit;
+                this.saveUrlState();
             });
         });
 
+        // Keep the night's low at or below the day's high by pushing the other slider along
+        const minTempInput = document.getElementById(PARAM_INPUTS.minTempC.id);
+        const maxTempInput = document.getElementById(PARAM_INPUTS.maxTempC.id);
+        minTempInput.addEventListener('input', () => {
+            if (this.params.minTempC > this.params.maxTempC) {
+                maxTempInput.value = this.params.minTempC;
+                maxTempInput.dispatchEvent(new Event('input'));
+            }
+            this.updateTempAverage();
+        });
+        maxTempInput.addEventListener('input', () => {
+            if (this.params.maxTempC < this.params.minTempC) {
+                minTempInput.value = this.params.maxTempC;
+                minTempInput.dispatchEvent(new Event('input'));
+            }
+            this.updateTempAverage();
+        });
+
         document.getElementById('runSimBtn').addEventListener('click', () => {
             if (this.mode === 'formula') {
                 this.runFormulaSimulation();
@@ -102,6 +166,300 @@ class TomatoExperiment {
                 this.runMLPrediction();
             }
         });
+
+        const copyLinkBtn = document.getElementById('copyLinkBtn');
+        copyLinkBtn.addEventListener('click', () => UrlState.copyLink(copyLinkBtn));
+    }
+
+    /** Daily mean of the low and high sliders, used by ML mode and shown under them */
+    averageTempC() {
+        return (this.params.minTempC + this.params.maxTempC) / 2;
+    }
+
+    updateTempAverage() {
+        document.getElementById('tempAverageHint').textContent = `Daily average: ${this.averageTempC()}°C`;
+    }
+
+    /** Reads the sliders, weather profile, care schedule, variety and mode back from the URL hash; the sliders clamp what they can't take */
+    restoreUrlState() {
+        const state = UrlState.read();
+
+        // Links from before the low/high sliders only carry the average; spread it over the default day/night swing
+        const legacyAvgTemp = UrlState.number(state, 'avgTempC');
+        if (legacyAvgTemp !== null && state.minTempC === undefined && state.maxTempC === undefined) {
+            state.minTempC = String(legacyAvgTemp - 6);
+            state.maxTempC = String(legacyAvgTemp + 6);
+        }
+        const inputIds = {
+            ...Object.fromEntries(Object.entries(PARAM_INPUTS).map(([param, config]) => [param, config.id])),
+            monteCarloRuns: MONTE_CARLO_RUNS_INPUT,
+            ...ML_PARAM_INPUTS
+        };
+        Object.entries(inputIds).forEach(([param, id]) => {
+            const value = UrlState.number(state, param);
+            if (value === null) return;
+            const input = document.getElementById(id);
+            input.value = value;
+            input.dispatchEvent(new Event('input')); // updates this.params / this.mlParams and the label
+        });
+
+        // Uploaded files can't travel in a link, so only the built-in profiles are restored
+        const weatherSelect = document.getElementById('weatherSource');
+        if (state.weather && state.weather !== 'upload' &&
+            Array.from(weatherSelect.options).some(option => option.value === state.weather)) {
+            weatherSelect.value = state.weather;
+            this.weatherSource = state.weather;
+            this.updateWeatherHint();
+        }
+
+        // Care events are written like w5:8/5 (water +8 on day 5, then every 5 days) or f30:40 (fertilise +40 once on day 30)
+        if (state.events) {
+            this.events = state.events.split(',')
+                .map(text => text.match(/^([wf])(\d+):(\d+(?:\.\d+)?)(?:\/(\d+))?$/))
+                .filter(Boolean)
+                .map(([, type, day, amount, every]) => ({
+                    type: type === 'w' ? 'water' : 'fertilise',
+                    day: Number(day),
+                    amount: Number(amount),
+                    every: Number(every || 0)
+                }))
+                .filter(event => event.day >= 1 && event.amount > 0);
+            this.renderCareSchedule();
+        }
+        if (state.soil === '1') {
+            document.getElementById('dynamicSoil').checked = true;
+            this.dynamicSoil = true;
+        }
+
+        if (state.variety && window.mlTomato.VARIETIES[state.variety]) {
+            document.getElementById('varietySelect').value = state.variety;
+            this.variety = state.variety;
+            this.updateVarietyHint();
+        }
+
+        if (state.mode === 'ml') document.getElementById('mlModeBtn').click();
+
+        UrlState.ready();
+        this.saveUrlState();
+    }
+
+    /** Mirrors the mode, variety, growing conditions, weather profile, care schedule and ML settings into the URL hash for sharing */
+    saveUrlState() {
+        const weather = this.weatherSource === 'constant' || this.weatherSource === 'upload' ? null : this.weatherSource;
+        const events = this.events
+            .map(e => `${e.type[0]}${e.day}:${e.amount}` + (e.every > 0 ? `/${e.every}` : ''))
+            .join(',');
+        UrlState.write({
+            mode: this.mode,
+            variety: this.variety === 'indeterminate' ? null : this.variety,
+            ...this.params,
+            weather,
+            soil: this.dynamicSoil ? 1 : null,
+            events,
+            monteCarloRuns: this.monteCarloRuns,
+            ...this.mlParams
+        });
+    }
+
+    setupVariety() {
+        const select = document.getElementById('varietySelect');
+        select.addEventListener('change', () => {
+            this.variety = select.value;
+            this.updateVarietyHint();
+            this.saveUrlState();
+        });
+        this.updateVarietyHint();
+    }
+
+    updateVarietyHint() {
+        const variety = window.mlTomato.VARIETIES[this.variety];
+        const habit = variety.habit === 'bushy' ? 'Bushy' : 'Tall vine';
+        document.getElementById('varietyHint').textContent =
+            `${habit} up to ${variety.maxHeightCm} cm | Up to ${variety.maxFruit} fruit of ~${variety.fruitSizeG} g | ` +
+            `Flowers at ${variety.stageGDD.flowering}, ripens at ${variety.stageGDD.ripening} GDD`;
+    }
+
+    setupWeather() {
+        const select = document.getElementById('weatherSource');
+        const fileInput = document.getElementById('weatherFile');
+        const statusDiv = document.getElementById('weatherStatus');
+
+        select.addEventListener('change', () => {
+            this.weatherSource = select.value;
+            this.updateWeatherHint();
+            this.saveUrlState();
+        });
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            try {
+                this.uploadedWeather = window.mlTomato.weatherFromTable(FileUtils.parseCSV(await file.text()));
+            } catch (error) {
+                statusDiv.className = 'status-message show status-error';
+                statusDiv.textContent = `❌ Could not read ${file.name}: ${error.message}`;
+                return;
+            }
+
+            const uploadOption = select.querySelector('option[value="upload"]');
+            uploadOption.disabled = false;
+            uploadOption.textContent = `Uploaded CSV (${file.name})`;
+            select.value = 'upload';
+            select.dispatchEvent(new Event('change'));
+
+            const fileDays = Math.max(...Object.values(this.uploadedWeather).map(values => values.length));
+            const shortNote = fileDays < this.params.days ? ` That is shorter than the run, so day ${fileDays}'s weather repeats after it.` : '';
+            statusDiv.className = 'status-message show status-success';
+            statusDiv.textContent = `✅ ${file.name}: ${fileDays} days of weather.${shortNote} Run the simulation to use it.`;
+        });
+    }
+
+    /** Says which drivers come from the chosen weather and which still come from the sliders */
+    updateWeatherHint() {
+        const names = {
+            avgTempC: 'temperature',
+            minTempC: 'night lows',
+            maxTempC: 'day highs',
+            soilMoisturePct: 'moisture',
+            sunlightHours: 'sunlight'
+        };
+        let hint = 'The same temperature, moisture and sunlight every day.';
+
+        if (this.weatherSource === 'upload') {
+            const weather = this.uploadedWeather;
+            // A file with only mean temperatures takes its swing from the low/high sliders (see getSimParams)
+            const swingOnly = weather.avgTempC && !weather.minTempC && !weather.maxTempC;
+            const fromFile = Object.keys(names).filter(key => weather[key]);
+            const fromSliders = Object.keys(names)
+                .filter(key => !weather[key] && key !== 'avgTempC' && !(swingOnly && key.endsWith('TempC')));
+            hint = `Daily ${fromFile.map(key => names[key]).join(', ')} from the file` +
+                (fromSliders.length ? `; ${fromSliders.map(key => names[key]).join(', ')} from the sliders` : '') +
+                (swingOnly ? '; the low/high sliders set each day\'s swing.' : '.');
+        } else if (this.weatherSource !== 'constant') {
+            hint = 'Daily temperature, moisture and sunlight follow the profile; the gap between the low and high sliders sets each day\'s swing.';
+        }
+        document.getElementById('weatherHint').textContent = hint;
+    }
+
+    setupMonteCarlo() {
+        const runsInput = document.getElementById(MONTE_CARLO_RUNS_INPUT);
+        runsInput.addEventListener('input', () => {
+            this.monteCarloRuns = parseInt(runsInput.value);
+            document.getElementById('valueMcRuns').textContent = runsInput.value;
+            this.saveUrlState();
+        });
+
+        document.getElementById('newSeedBtn').addEventListener('click', () => {
+            const seedInput = document.getElementById(PARAM_INPUTS.randomSeed.id);
+            seedInput.value = 1 + Math.floor(Math.random() * Number(seedInput.max));
+            seedInput.dispatchEvent(new Event('input'));
+        });
+
+        document.getElementById('runMonteCarloBtn').addEventListener('click', () => this.runMonteCarlo());
+    }
+
+    /** Runs the season once per seed and shows the 5-95% spread of height and fruit around the forecast on screen */
+    runMonteCarlo() {
+        const statusDiv = document.getElementById('monteCarloStatus');
+        if (this.params.weatherNoise === 0 && this.params.plantVariation === 0) {
+            statusDiv.className = 'status-message show status-error';
+            statusDiv.textContent = '❌ With no weather noise or plant variation every season comes out the same. Turn one of them up first.';
+            return;
+        }
+
+        // The forecast on screen is the first seed's season; the bands come from all of them
+        this.runFormulaSimulation();
+        this.monteCarlo = window.mlTomato.monteCarloTomato(this.getSimParams(), this.monteCarloRuns);
+        this.updateChart();
+
+        const last = this.monteCarlo.days.length - 1;
+        const { heightCm, fruitCount } = this.monteCarlo;
+        statusDiv.className = 'status-message show status-success';
+        statusDiv.textContent =
+            `📊 ${this.monteCarlo.runs} seasons, day ${this.monteCarlo.days[last]}: median ${fruitCount.p50[last].toFixed(0)} fruit ` +
+            `(90% of seasons ${fruitCount.p5[last].toFixed(0)}–${fruitCount.p95[last].toFixed(0)}), median height ` +
+            `${heightCm.p50[last].toFixed(0)} cm (${heightCm.p5[last].toFixed(0)}–${heightCm.p95[last].toFixed(0)}). ` +
+            `The forecast on screen (seed ${this.params.randomSeed}) gave ${this.simulationData[last].fruitCount} fruit.`;
+    }
+
+    /** this.params with the chosen daily weather arrays in place of the constant slider values, plus the care schedule and variety */
+    getSimParams() {
+        let weather = {};
+        if (this.weatherSource === 'upload') {
+            weather = this.uploadedWeather;
+        } else if (this.weatherSource !== 'constant') {
+            weather = window.mlTomato.weatherProfile(this.weatherSource, this.params.days);
+        }
+
+        // Weather with only a daily average gets the sliders' day/night swing around it
+        if (weather.avgTempC && !weather.minTempC && !weather.maxTempC) {
+            const halfSwing = (this.params.maxTempC - this.params.minTempC) / 2;
+            weather = {
+                ...weather,
+                minTempC: weather.avgTempC.map(t => t - halfSwing),
+                maxTempC: weather.avgTempC.map(t => t + halfSwing)
+            };
+        }
+        return { ...this.params, ...weather, dynamicSoil: this.dynamicSoil, events: this.events, variety: this.variety };
+    }
+
+    setupCareSchedule() {
+        const toggle = document.getElementById('dynamicSoil');
+        toggle.addEventListener('change', () => {
+            this.dynamicSoil = toggle.checked;
+            this.saveUrlState();
+        });
+
+        document.getElementById('addEventBtn').addEventListener('click', () => {
+            const event = {
+                type: document.getElementById('eventType').value,
+                day: parseInt(document.getElementById('eventDay').value),
+                amount: parseFloat(document.getElementById('eventAmount').value),
+                every: Math.max(0, parseInt(document.getElementById('eventEvery').value) || 0)
+            };
+            if (!(event.day >= 1) || !(event.amount > 0)) return;
+
+            this.events.push(event);
+            this.events.sort((a, b) => a.day - b.day);
+            // A schedule has no effect unless the soil can change
+            toggle.checked = true;
+            this.dynamicSoil = true;
+            this.renderCareSchedule();
+            this.saveUrlState();
+        });
+
+        document.getElementById('eventList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-event-index]');
+            if (!button) return;
+            this.events.splice(Number(button.dataset.eventIndex), 1);
+            this.renderCareSchedule();
+            this.saveUrlState();
+        });
+
+        document.getElementById('clearEventsBtn').addEventListener('click', () => {
+            this.events = [];
+            this.renderCareSchedule();
+            this.saveUrlState();
+        });
+
+        this.renderCareSchedule();
+    }
+
+    renderCareSchedule() {
+        const list = document.getElementById('eventList');
+        if (this.events.length === 0) {
+            list.innerHTML = '<li class="event-list-empty">No events yet.</li>';
+            return;
+        }
+
+        list.innerHTML = '';
+        this.events.forEach((event, i) => {
+            const what = event.type === 'water' ? `💧 Water +${event.amount}%` : `🌾 Fertilise +${event.amount}`;
+            const when = event.every > 0 ? `from day ${event.day}, every ${event.every} days` : `on day ${event.day}`;
+            const item = document.createElement('li');
+            item.innerHTML = `<span>${what} ${when}</span><button data-event-index="${i}" title="Remove">✖</button>`;
+            list.appendChild(item);
+        });
     }
 
     setupAnimationControls() {
@@ -191,7 +549,9 @@ class TomatoExperiment {
 
     runFormulaSimulation() {
         console.log('🚀 Running Formula Simulation...');
-        this.simulationData = window.mlTomato.simulateTomato(this.params);
+        this.simulationData = window.mlTomato.simulateTomato(this.getSimParams());
+        this.monteCarlo = null;
+        this.runVariety = this.variety;
 
         // DEBUG: Log fruit production
         const fruitsPerDay = this.simulationData.filter(d => d.fruitCount > 0);
@@ -215,11 +575,13 @@ class TomatoExperiment {
         targetDayInput.addEventListener('input', (e) => {
             this.mlParams.targetDay = parseInt(e.target.value);
             targetDayValue.textContent = e.target.value;
+            this.saveUrlState();
         });
 
         epochsInput.addEventListener('input', (e) => {
             this.mlParams.epochs = parseInt(e.target.value);
             epochsValue.textContent = e.target.value;
+            this.saveUrlState();
         });
 
         document.getElementById('trainModelBtn').addEventListener('click', () => {
@@ -282,10 +644,16 @@ class TomatoExperiment {
         try {
             const normalization = window.mlTomato.getNormalization();
             this.simulationData = [];
+            this.runVariety = 'indeterminate';
+            this.monteCarlo = null;
+
+            const avgTempC = this.averageTempC();
+            const GDD_today = window.mlTomato.modifiedGDD(this.params.minTempC, this.params.maxTempC);
+            const stress = window.mlTomato.temperatureStress(this.params.minTempC, this.params.maxTempC);
 
             for (let day = 1; day <= this.params.days; day++) {
                 const input = [
-                    this.params.avgTempC,
+                    avgTempC,
                     this.params.soilMoisturePct,
                     this.params.sunlightHours,
                     this.params.soilN,
@@ -297,12 +665,20 @@ class TomatoExperiment {
                 const heightCm = Math.max(0, predictedHeight);
                 const biomass = heightCm / 150;
                 const leafCount = Math.floor(40 * (1 - Math.exp(-3 * biomass)));
-                const GDD_today = window.mlTomato.dailyGDD(this.params.avgTempC);
                 const GDD_cum = GDD_today * day;
                 const stage = window.mlTomato.stageFromGDD(GDD_cum, day > 5);
 
                 this.simulationData.push({
                     day,
+                    avgTempC,
+                    minTempC: this.params.minTempC,
+                    maxTempC: this.params.maxTempC,
+                    stress: stress.type,
+                    soilMoisturePct: this.params.soilMoisturePct,
+                    sunlightHours: this.params.sunlightHours,
+                    soilN: this.params.soilN,
+                    ET_today: 0,
+                    care: [],
                     stage,
                     GDD_today: parseFloat(GDD_today.toFixed(2)),
                     GDD_cum: parseFloat(GDD_cum.toFixed(2)),
@@ -315,8 +691,12 @@ class TomatoExperiment {
                 });
             }
 
+            // The model was trained on an indeterminate plant in constant conditions, so it only sees the sliders
+            const weatherNote = this.weatherSource === 'constant' && !this.dynamicSoil && this.variety === 'indeterminate'
+                ? ''
+                : ' Daily weather, the care schedule and other varieties only apply in Formula Mode; this used the sliders and an indeterminate plant.';
             statusDiv.className = 'status-message show status-success';
-            statusDiv.textContent = '✅ ML prediction complete!';
+            statusDiv.textContent = `✅ ML prediction complete!${weatherNote}`;
 
             document.getElementById('dayScrubber').max = this.simulationData.length - 1;
             document.getElementById('totalDays').textContent = this.simulationData.length;
@@ -358,7 +738,8 @@ class TomatoExperiment {
         document.getElementById('stageProgress').style.width = progress + '%';
         document.getElementById('dayScrubber').value = this.currentDay;
 
-        document.getElementById('statGDDToday').textContent = state.GDD_today.toFixed(1) + '°C·d';
+        const stressIcon = { heat: ' 🔥', cold: ' ❄️' }[state.stress] || '';
+        document.getElementById('statGDDToday').textContent = state.GDD_today.toFixed(1) + '°C·d' + stressIcon;
         document.getElementById('statGDDCum').textContent = state.GDD_cum.toFixed(1) + '°C·d';
         document.getElementById('statHeight').textContent = state.heightCm.toFixed(1) + ' cm';
 
@@ -368,7 +749,8 @@ class TomatoExperiment {
 
         // Update fruit count from actual plant structure
         const actualFruitCount = this.plant ? this.plant.getTotalFruits() : 0;
-        document.getElementById('statFruits').textContent = actualFruitCount + ' 🍅';
+        const yieldKg = actualFruitCount * window.mlTomato.VARIETIES[this.runVariety].fruitSizeG / 1000;
+        document.getElementById('statFruits').textContent = actualFruitCount + ' 🍅' + (actualFruitCount > 0 ? ` (${yieldKg.toFixed(1)} kg)` : '');
 
         document.getElementById('statHealth').textContent = (state.healthIndex * 100).toFixed(0) + '%';
     }
@@ -382,7 +764,7 @@ class TomatoExperiment {
         // Only create plant once when simulation data changes
         if (!this.plant || this.plant.simulationData !== this.simulationData) {
 
-            this.plant = new TomatoPlant(this.p5Instance, 0, 0, this.simulationData);
+            this.plant = new TomatoPlant(this.p5Instance, 0, 0, this.simulationData, window.mlTomato.VARIETIES[this.runVariety]);
         }
 
         // Just update current display day
@@ -423,7 +805,9 @@ class TomatoExperiment {
     }
 
     drawBackground(p) {
-        const sunIntensity = p.map(this.params.sunlightHours, 0, 14, 0.4, 1.0);
+        // The shown day's weather once there is a run, otherwise the sliders
+        const today = (this.simulationData && this.simulationData[this.currentDay]) || this.params;
+        const sunIntensity = p.map(today.sunlightHours, 0, 14, 0.4, 1.0);
         for (let y = 0; y < p.height * 0.7; y++) {
             const inter = y / (p.height * 0.7);
             const skyTop = p.color(100 * sunIntensity, 150 * sunIntensity, 255);
@@ -433,7 +817,7 @@ class TomatoExperiment {
             p.line(0, y, p.width, y);
         }
 
-        if (this.params.sunlightHours > 0) {
+        if (today.sunlightHours > 0) {
             const sunX = p.width * 0.85;
             const sunY = p.height * 0.12;
 
@@ -469,8 +853,8 @@ class TomatoExperiment {
         p.strokeWeight(2);
         p.line(0, soilY, p.width, soilY);
 
-        if (this.params.soilMoisturePct > 60) {
-            const moistAlpha = p.map(this.params.soilMoisturePct, 60, 100, 0, 70);
+        if (today.soilMoisturePct > 60) {
+            const moistAlpha = p.map(today.soilMoisturePct, 60, 100, 0, 70);
             p.fill(100, 150, 200, moistAlpha);
             p.noStroke();
             p.rect(0, soilY, p.width, p.height * 0.3);
@@ -487,6 +871,21 @@ class TomatoExperiment {
     initChart() {
         const ctx = document.getElementById('growthChart').getContext('2d');
 
+        // Monte Carlo band for one metric: 5th percentile (hidden from the legend), 95th filled down to it, dashed median
+        const band = (label, color, fillColor, yAxisID) => [
+            { label: `${label} 5th percentile`, data: [], borderColor: 'transparent', pointRadius: 0, yAxisID },
+            {
+                label: `${label} 5–95% band`,
+                data: [],
+                borderColor: 'transparent',
+                backgroundColor: fillColor,
+                pointRadius: 0,
+                fill: '-1',
+                yAxisID
+            },
+            { label: `${label} median`, data: [], borderColor: color, borderDash: [6, 4], pointRadius: 0, yAxisID }
+        ];
+
         this.chart = new Chart(ctx, {
             type: 'line',
             data: {
@@ -515,14 +914,47 @@ class TomatoExperiment {
                         backgroundColor: 'rgba(102, 126, 234, 0.1)',
                         yAxisID: 'y2',
                         tension: 0.4
-                    }
+                    },
+                    // Full-height bars behind the lines on days too hot or too cold for fruit set
+                    {
+                        type: 'bar',
+                        label: 'Heat Stress Day',
+                        data: [],
+                        backgroundColor: 'rgba(244, 67, 54, 0.15)',
+                        yAxisID: 'yStress',
+                        barPercentage: 1,
+                        categoryPercentage: 1,
+                        order: 1
+                    },
+                    {
+                        type: 'bar',
+                        label: 'Cold Stress Day',
+                        data: [],
+                        backgroundColor: 'rgba(33, 150, 243, 0.15)',
+                        yAxisID: 'yStress',
+                        barPercentage: 1,
+                        categoryPercentage: 1,
+                        order: 1
+                    },
+                    ...band('Height', 'rgb(75, 192, 192)', 'rgba(75, 192, 192, 0.2)', 'y'),
+                    ...band('Fruit', 'rgb(220, 45, 35)', 'rgba(220, 45, 35, 0.15)', 'yFruit')
                 ]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
                 interaction: { mode: 'index', intersect: false },
-                plugins: { legend: { display: true, position: 'top' } },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: {
+                            // Only list what is drawn, and show each Monte Carlo band once
+                            filter: (item, data) => data.datasets[item.datasetIndex].data.length > 0 &&
+                                !item.text.endsWith('5th percentile')
+                        }
+                    }
+                },
                 scales: {
                     x: { title: { display: true, text: 'Day' } },
                     y: {
@@ -546,12 +978,161 @@ class TomatoExperiment {
                         display: false,
                         min: 0,
                         max: 100
+                    },
+                    yStress: {
+                        type: 'linear',
+                        display: false,
+                        min: 0,
+                        max: 1
+                    },
+                    yFruit: {
+                        type: 'linear',
+                        display: 'auto',
+                        position: 'right',
+                        title: { display: true, text: 'Fruit' },
+                        grid: { drawOnChartArea: false },
+                        min: 0
                     }
                 }
             }
         });
     }
 
+    /** Daily high/low temperature and sunlight that drove the run, under the growth chart */
+    initDriversChart() {
+        const ctx = document.getElementById('driversChart').getContext('2d');
+
+        this.driversChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    {
+                        label: 'Day High (°C)',
+                        data: [],
+                        borderColor: 'rgb(244, 67, 54)',
+                        backgroundColor: 'rgba(244, 67, 54, 0.1)',
+                        yAxisID: 'y',
+                        pointRadius: 0,
+                        tension: 0.2
+                    },
+                    {
+                        label: 'Night Low (°C)',
+                        data: [],
+                        borderColor: 'rgb(156, 39, 176)',
+                        backgroundColor: 'rgba(156, 39, 176, 0.1)',
+                        yAxisID: 'y',
+                        pointRadius: 0,
+                        tension: 0.2
+                    },
+                    {
+                        label: 'Sunlight (hrs)',
+                        data: [],
+                        borderColor: 'rgb(255, 193, 7)',
+                        backgroundColor: 'rgba(255, 193, 7, 0.1)',
+                        yAxisID: 'y',
+                        pointRadius: 0,
+                        tension: 0.2
+                    },
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                plugins: { legend: { display: true, position: 'top' } },
+                scales: {
+                    x: { title: { display: true, text: 'Day' } },
+                    y: {
+                        type: 'linear',
+                        display: true,
+                        position: 'left',
+                        title: { display: true, text: '°C / hours' },
+                        min: 0
+                    }
+                }
+            }
+        });
+    }
+
+    updateDriversChart() {
+        if (!this.driversChart || !this.simulationData) return;
+
+        this.driversChart.data.labels = this.simulationData.map(d => d.day);
+        this.driversChart.data.datasets[0].data = this.simulationData.map(d => d.maxTempC);
+        this.driversChart.data.datasets[1].data = this.simulationData.map(d => d.minTempC);
+        this.driversChart.data.datasets[2].data = this.simulationData.map(d => d.sunlightHours);
+        this.driversChart.update();
+    }
+
+    /** Soil moisture and nutrient index through the run, with markers on the days the care schedule acted */
+    initSoilChart() {
+        const ctx = document.getElementById('soilChart').getContext('2d');
+        const marker = (label, color, pointStyle) => ({
+            label,
+            data: [],
+            borderColor: color,
+            backgroundColor: color,
+            showLine: false,
+            pointStyle,
+            pointRadius: 6
+        });
+
+        this.soilChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    {
+                        label: 'Soil Moisture (%)',
+                        data: [],
+                        borderColor: 'rgb(33, 150, 243)',
+                        backgroundColor: 'rgba(33, 150, 243, 0.1)',
+                        pointRadius: 0,
+                        tension: 0.2
+                    },
+                    {
+                        label: 'Soil Nutrients (N index)',
+                        data: [],
+                        borderColor: 'rgb(76, 175, 80)',
+                        backgroundColor: 'rgba(76, 175, 80, 0.1)',
+                        pointRadius: 0,
+                        tension: 0.2
+                    },
+                    marker('Watered', 'rgb(33, 150, 243)', 'triangle'),
+                    marker('Fertilised', 'rgb(76, 175, 80)', 'rectRot')
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                plugins: { legend: { display: true, position: 'top' } },
+                scales: {
+                    x: { title: { display: true, text: 'Day' } },
+                    y: {
+                        type: 'linear',
+                        display: true,
+                        title: { display: true, text: '% / index' },
+                        min: 0,
+                        max: 100
+                    }
+                }
+            }
+        });
+    }
+
+    updateSoilChart() {
+        if (!this.soilChart || !this.simulationData) return;
+
+        this.soilChart.data.labels = this.simulationData.map(d => d.day);
+        this.soilChart.data.datasets[0].data = this.simulationData.map(d => d.soilMoisturePct);
+        this.soilChart.data.datasets[1].data = this.simulationData.map(d => d.soilN);
+        this.soilChart.data.datasets[2].data = this.simulationData.map(d => (d.care.includes('water') ? d.soilMoisturePct : null));
+        this.soilChart.data.datasets[3].data = this.simulationData.map(d => (d.care.includes('fertilise') ? d.soilN : null));
+        this.soilChart.update();
+    }
+
     updateChart() {
         if (!this.chart || !this.simulationData) return;
 
@@ -564,7 +1145,18 @@ class TomatoExperiment {
         this.chart.data.datasets[0].data = heights;
         this.chart.data.datasets[1].data = gdds;
         this.chart.data.datasets[2].data = healths;
+        this.chart.data.datasets[3].data = this.simulationData.map(d => (d.stress === 'heat' ? 1 : null));
+        this.chart.data.datasets[4].data = this.simulationData.map(d => (d.stress === 'cold' ? 1 : null));
+
+        // Monte Carlo bands, emptied while a single forecast is shown
+        const mc = this.monteCarlo;
+        const bands = mc
+            ? [mc.heightCm.p5, mc.heightCm.p95, mc.heightCm.p50, mc.fruitCount.p5, mc.fruitCount.p95, mc.fruitCount.p50]
+            : [[], [], [], [], [], []];
+        bands.forEach((data, i) => { this.chart.data.datasets[5 + i].data = data; });
         this.chart.update();
+        this.updateDriversChart();
+        this.updateSoilChart();
     }
 }
 
@@ -574,13 +1166,42 @@ class TomatoExperiment {
 // Timeline scrubbing just filters what to display by creation day
 // ============================================================================
 
+// Drawn shape for each growth habit (a variety's `habit`): bushy plants branch low, wide and often and fruit all over;
+// vining plants climb with fewer side shoots and fruit higher up
+const PLANT_HABITS = {
+    vining: {
+        maxBranches: 6,
+        firstBranchRatio: 0.5, // up the stem
+        branchSpan: 0.4,       // stem height the branches spread over
+        upwardAngle: 0.5,      // radians above horizontal
+        branchLengthScale: 1,
+        secondaryBranches: 3,  // the lowest this many primaries get a side shoot
+        flowerAboveRatio: 0.4,
+        fruitAboveRatio: 0.5
+    },
+    bushy: {
+        maxBranches: 9,
+        firstBranchRatio: 0.2,
+        branchSpan: 0.6,
+        upwardAngle: 0.2,
+        branchLengthScale: 1.25,
+        secondaryBranches: 9,
+        flowerAboveRatio: 0,
+        fruitAboveRatio: 0.2
+    }
+};
+
 class TomatoPlant {
-    constructor(p, x, y, simulationData) {
+    constructor(p, x, y, simulationData, variety = window.mlTomato.VARIETIES.indeterminate) {
         this.p = p;
         this.baseX = x;
         this.baseY = y;
         this.simulationData = simulationData;
 
+        // Shape and fruit size follow the variety; fruit diameter goes with the cube root of its mass
+        this.habit = PLANT_HABITS[variety.habit];
+        this.fruitDiameter = 2 * Math.cbrt(variety.fruitSizeG);
+
         // Hierarchical structure
         this.mainStem = new MainStem(this, x, y);
         this.branches = [];
@@ -684,7 +1305,7 @@ class TomatoPlant {
                 if (fruitsAdded < newFruits) {
                     const remainingFruits = newFruits - fruitsAdded;
                     const fruitingBranches = this.branches.filter(b =>
-                        b.heightRatio > 0.5 &&
+                        b.heightRatio > this.habit.fruitAboveRatio &&
                         b.createdDay < day - 10
                     );
 
@@ -713,9 +1334,9 @@ class TomatoPlant {
         // First branch at day 20
         if (day === 20 && state.leafCount >= 8) return true;
 
-        // Subsequent branches every branchInterval days
-        if (day > 20 && (day - 20) % branchInterval === 0 && this.branches.length < 6) {
-            return state.leafCount >= (this.branches.length + 1) * 5;
+        // Subsequent branches every branchInterval days, spreading the leaf requirement over the habit's branches
+        if (day > 20 && (day - 20) % branchInterval === 0 && this.branches.length < this.habit.maxBranches) {
+            return state.leafCount >= (this.branches.length + 1) * 30 / this.habit.maxBranches;
         }
 
         return false;
@@ -724,11 +1345,11 @@ class TomatoPlant {
     calculateBranchHeight(day, state) {
         const branchCount = this.branches.length;
 
-        if (branchCount === 0) return 0.50; // First branch at 50%
+        if (branchCount === 0) return this.habit.firstBranchRatio;
 
-        // Subsequent branches spread from 50% to 90%
-        const spacing = 0.40 / 6; // Max 6 branches
-        return Math.min(0.90, 0.50 + (branchCount * spacing));
+        // Subsequent branches spread over the habit's span (50% to 90% for vines)
+        const spacing = this.habit.branchSpan / this.habit.maxBranches;
+        return Math.min(0.90, this.habit.firstBranchRatio + (branchCount * spacing));
     }
 
     setCurrentDay(day) {
@@ -993,9 +1614,9 @@ class PrimaryBranch {
 
         // Branch geometry (calculated once)
         this.side = (id % 2 === 0) ? 1 : -1; // Even=right, Odd=left
-        this.upwardAngle = 0.5 + (id * 0.02) % 0.25;
+        this.upwardAngle = plant.habit.upwardAngle + (id * 0.02) % 0.25;
         this.angle = this.side === 1 ? -this.upwardAngle : -Math.PI + this.upwardAngle;
-        this.baseLength = 60 + id * 3;
+        this.baseLength = (60 + id * 3) * plant.habit.branchLengthScale;
         this.lengthRatio = 1.3 - (heightRatio * 0.4);
         this.length = this.baseLength * this.lengthRatio;
         this.width = Math.max(2, 7 - id * 0.3);
@@ -1028,7 +1649,7 @@ class PrimaryBranch {
         }
 
         // Add secondary branch (only once, when mature)
-        if (!this.hasSecondary && daysSinceCreation > 15 && this.id < 3 && state.stage !== 'seedling') {
+        if (!this.hasSecondary && daysSinceCreation > 15 && this.id < this.plant.habit.secondaryBranches && state.stage !== 'seedling') {
             const secondary = new SecondaryBranch(this, day, 0.7, this.secondaryBranches.length);
             this.secondaryBranches.push(secondary);
             this.hasSecondary = true;
@@ -1044,7 +1665,7 @@ class PrimaryBranch {
         // Add flowers during flowering stage (for visual effect)
         if ((state.stage === 'flowering' || state.stage === 'fruit_set') &&
             state.flowering &&
-            this.heightRatio > 0.4 &&
+            this.heightRatio > this.plant.habit.flowerAboveRatio &&
             this.flowers.length === 0 &&
             daysSinceCreation > 10) {
 
@@ -1363,7 +1984,7 @@ class Fruit {
         this.distRatio = distRatio;
         this.id = id;
 
-        this.baseSize = 9 + (id % 4);
+        this.baseSize = parentBranch.plant.fruitDiameter - 1.5 + (id % 4);
         this.ripeness = 0;
 
         // Hanging offset